@@ -1,4 +1,4 @@
 #!/usr/bin/env bash
 
 git clean -xdf test/ > /dev/null
-git checkout -- test/*/package.json
+git checkout -- test/*/package.json test/*/.gitignore test/*/.dockerignore test/nodejs-plugin/.dna.json
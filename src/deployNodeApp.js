@@ -9,29 +9,52 @@ const inquirer = require('inquirer')
 const { isFQDN } = require('validator')
 const yaml = require('js-yaml')
 const merge = require('lodash/merge')
+const unset = require('lodash/unset')
 const style = require('ansi-styles')
 const getKubesailConfig = require('get-kubesail-config')
 inquirer.registerPrompt('fuzzypath', require('inquirer-fuzzy-path'))
 const {
   fatal,
   log,
+  warn,
   debug,
   mkdir,
   prompt,
+  compareVersions,
   cleanupWrittenFiles,
   readDNAConfig,
   ensureBinaries,
+  ensureKubectl,
   writeTextLine,
   execSyncWithEnv,
   confirmWriteFile
 } = require('./util')
+const { loadPlugins } = require('./plugins')
+const { status } = require('./status')
+const { logs } = require('./logs')
+const { shell } = require('./shell')
+const { recordDeploy, findRollback, printHistory } = require('./history')
+const { rotateCredentials } = require('./rotate')
+const {
+  decryptSecrets,
+  encryptSecrets,
+  isEncryptionEnabled,
+  secretsAction,
+  secretsBackend,
+  writeSecretResources
+} = require('./secrets')
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
 const WARNING = `${style.yellow.open}!!${style.yellow.close}`
 
 // Load meta-modules! These match dependency packages to files in ./modules - these files in turn build out Kubernetes resources!
 const metaModules = [
+  require('./modules/elasticsearch'),
+  require('./modules/kafka'),
+  require('./modules/memcached'),
   require('./modules/mongodb'),
+  require('./modules/mysql'),
   require('./modules/postgres'),
+  require('./modules/rabbitmq'),
   require('./modules/redis')
 ]
 
@@ -39,12 +62,33 @@ const languages = [
   require('./languages/nodejs'),
   require('./languages/python'),
   require('./languages/ruby'),
+  require('./languages/php'),
+  require('./languages/golang'),
   require('./languages/nginx') // It's important that Nginx is last - plenty of other projects will include static html files
 ]
 
+// Adds languages and modules from plugins to our registries - plugins replace built-ins of the same name
+// Plugin languages are detected before our own, since they're usually more specific (and Nginx must remain last)
+function registerPlugins(plugins) {
+  plugins.languages.reverse().forEach(language => {
+    const existing = languages.findIndex(l => l.name === language.name)
+    if (existing > -1) languages.splice(existing, 1)
+    languages.unshift(language)
+  })
+  plugins.modules.forEach(mod => {
+    const existing = metaModules.findIndex(m => m.name === mod.name)
+    if (existing > -1) metaModules.splice(existing, 1, mod)
+    else metaModules.push(mod)
+  })
+}
+
 // Only allow projects that are valid dns components - we will prompt the user for a different name if this is name matched
 const validProjectNameRegex = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/i
 
+// Kubernetes label keys may have a DNS prefix ("example.com/team"), values may be empty
+const validLabelKeyRegex = /^([a-z0-9]([-a-z0-9.]*[a-z0-9])?\/)?[a-z0-9]([-a-z0-9_.]*[a-z0-9])?$/i
+const validLabelValueRegex = /^([a-z0-9]([-a-z0-9_.]*[a-z0-9])?)?$/i
+
 // Read local .kube configuration
 let kubeConfig = {}
 function readLocalKubeConfig(configPathOption) {
@@ -275,6 +319,23 @@ async function promptForIngress() {
   else return ingressUri
 }
 
+// Asks for an HTTP path to use for health checks - a blank answer means we'll check the port is open instead
+async function promptForHealthPath(options) {
+  if (!options.prompts) return '/'
+  process.stdout.write('\n')
+  const { healthPath } = await prompt([
+    {
+      name: 'healthPath',
+      type: 'input',
+      default: '/',
+      message:
+        'What path can we request to check that your app is healthy? (leave blank to check the port is open)',
+      validate: input => (!input || input.startsWith('/') ? true : 'Paths must start with "/"')
+    }
+  ])
+  return healthPath
+}
+
 async function promptForLanguage(options) {
   if (options.language) {
     const found = languages.find(l => l.name === options.language)
@@ -324,10 +385,199 @@ async function promptForAdditionalArtifacts(options) {
   return additionalArtifacts
 }
 
+// Returns the per-env settings for a module from .dna.json, creating them if needed
+function getModuleConfig(overlay, mod) {
+  if (!overlay.modules) overlay.modules = {}
+  if (!overlay.modules[mod.name]) overlay.modules[mod.name] = {}
+  return overlay.modules[mod.name]
+}
+
+// Every env's base gives apps and modules the same resources and a single replica - envs change them with the
+// "replicas" and "resources" of their apps and modules in .dna.json, which are written as patches to the overlay
+const quantityRegex = /^[0-9]+(\.[0-9]+)?(m|k|Ki|M|Mi|G|Gi|T|Ti)?$/
+
+// Saves the --replicas, --cpu and --memory flags as an app's settings for this env
+function getAppConfig(overlay, name, options) {
+  const appConfig = (overlay.apps || {})[name] || {}
+  if (options.replicas !== undefined) appConfig.replicas = options.replicas
+  ;['cpu', 'memory'].forEach(resource => {
+    if (!options[resource]) return
+    const quantity = { [resource]: options[resource] }
+    appConfig.resources = merge({}, appConfig.resources, { requests: quantity, limits: quantity })
+  })
+  if (Object.keys(appConfig).length > 0) {
+    if (!overlay.apps) overlay.apps = {}
+    overlay.apps[name] = appConfig
+  }
+  return appConfig
+}
+
+async function writeResourcesPatch(env, name, settings, options = { force: false, update: false }) {
+  const { replicas, resources } = settings
+  if (replicas === undefined && !resources) return null
+  if (replicas !== undefined && (!Number.isInteger(replicas) || replicas < 0)) {
+    return fatal(`Invalid replicas "${replicas}" for "${name}" in "${env}"!`)
+  }
+  ;['requests', 'limits'].forEach(kind => {
+    for (const resource in (resources || {})[kind]) {
+      const quantity = resources[kind][resource]
+      if (!quantityRegex.test(quantity)) {
+        fatal(`Invalid ${resource} ${kind} "${quantity}" for "${name}" in "${env}"!`)
+      }
+    }
+  })
+  const patchFile = `${name}-resources.yaml`
+  const spec = {}
+  if (replicas !== undefined) spec.replicas = replicas
+  if (resources) spec.template = { spec: { containers: [{ name, resources }] } }
+  await confirmWriteFile(
+    `k8s/overlays/${env}/${patchFile}`,
+    loadAndMergeYAML(
+      `k8s/overlays/${env}/${patchFile}`,
+      {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name },
+        spec
+      },
+      options
+    ),
+    options
+  )
+  return patchFile
+}
+
+// Modules declare their image without a tag and a default "version" - envs can pick their own in .dna.json,
+// which is applied with the overlay's "images" so that databases are never upgraded by accident
+function moduleImageName(mod) {
+  return mod.image.replace(/:[^/:]+$/, '')
+}
+
+// Warns when the drivers an app depends on are older than a module's server version is known to support
+// Requirements are a minimum version, or { minimum, message } - without a minimum, no version of the driver works
+function checkDriverCompatibility(mod, version, languageObjects, options) {
+  if (!mod.driverRequirements || !version) return
+  for (const serverVersion in mod.driverRequirements) {
+    if (compareVersions(version, serverVersion) < 0) continue
+    const requirements = mod.driverRequirements[serverVersion]
+    languageObjects.forEach(language => {
+      if (!requirements[language.name] || !language.dependencyVersions) return
+      const installed = language.dependencyVersions(options)
+      for (const pkg in requirements[language.name]) {
+        if (!installed[pkg]) continue
+        const requirement = requirements[language.name][pkg]
+        const { minimum, message } =
+          typeof requirement === 'object' ? requirement : { minimum: requirement }
+        if (!minimum) {
+          warn(`${pkg} doesn't work with ${mod.name} ${serverVersion} and newer - ${message}`)
+        } else if (compareVersions(installed[pkg], minimum) < 0) {
+          warn(
+            `${pkg} ${installed[pkg]} may not work with ${mod.name} ${version} - ${
+              message || `${mod.name} ${serverVersion} and newer need ${pkg} ${minimum} or newer`
+            }`
+          )
+        }
+      }
+    })
+  }
+}
+
+// Modules can run in the cluster, point at an external (ie: managed) service, or be left out of an env entirely
+const moduleModes = ['in-cluster', 'external', 'disabled']
+
+// Chooses how a module is provided in this env - the --module-mode flag wins, then .dna.json, then a prompt
+async function promptForModuleMode(env, mod, modConfig, options) {
+  const mode = (options.moduleModes || {})[mod.name] || modConfig.mode
+  if (mode) {
+    if (!moduleModes.includes(mode)) {
+      return fatal(
+        `Invalid mode "${mode}" for module "${mod.name}"! Valid modes are: ${moduleModes.join(
+          ', '
+        )}`
+      )
+    }
+    return mode
+  }
+  if (!options.prompts) return 'in-cluster'
+  process.stdout.write('\n')
+  const { moduleMode } = await prompt([
+    {
+      name: 'moduleMode',
+      type: 'list',
+      message: `This project uses ${mod.name} - how should the "${env}" environment provide it?`,
+      default: 'in-cluster',
+      choices: [
+        { name: `Run ${mod.name} in the cluster`, value: 'in-cluster' },
+        { name: `Use an external ${mod.name} (ie: a managed database)`, value: 'external' },
+        { name: `Don't provide ${mod.name}`, value: 'disabled' }
+      ]
+    }
+  ])
+  return moduleMode
+}
+
+// Writes a PersistentVolumeClaim and a patch mounting it into a module's Deployment
+// These live in the env's overlay, so that storage can differ per env and the module's base stays generic
+async function writeModuleStorage(env, mod, storage, options = { force: false, update: false }) {
+  const claimName = `${mod.name}-data`
+  const pvcFile = `${mod.name}-pvc.yaml`
+  const patchFile = `${mod.name}-storage.yaml`
+  const pvcSpec = {
+    accessModes: ['ReadWriteOnce'],
+    resources: { requests: { storage: storage.size } }
+  }
+  if (storage.storageClass) pvcSpec.storageClassName = storage.storageClass
+  await confirmWriteFile(
+    `k8s/overlays/${env}/${pvcFile}`,
+    loadAndMergeYAML(
+      `k8s/overlays/${env}/${pvcFile}`,
+      {
+        apiVersion: 'v1',
+        kind: 'PersistentVolumeClaim',
+        metadata: { name: claimName },
+        spec: pvcSpec
+      },
+      options
+    ),
+    options
+  )
+
+  const volumeMount = { name: 'data', mountPath: mod.storage.path }
+  if (mod.storage.subPath) volumeMount.subPath = mod.storage.subPath
+  const container = { name: mod.name, volumeMounts: [volumeMount] }
+  if (mod.storage.args) container.args = mod.storage.args
+  await confirmWriteFile(
+    `k8s/overlays/${env}/${patchFile}`,
+    loadAndMergeYAML(
+      `k8s/overlays/${env}/${patchFile}`,
+      {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: mod.name },
+        spec: {
+          // A ReadWriteOnce volume can't be shared between an old and a new pod during a rolling update
+          // The existing Deployment's "rollingUpdate" must be removed, as it isn't allowed with "Recreate"
+          strategy: { type: 'Recreate', rollingUpdate: null },
+          template: {
+            spec: {
+              containers: [container],
+              volumes: [{ name: 'data', persistentVolumeClaim: { claimName } }]
+            }
+          }
+        }
+      },
+      options
+    ),
+    options
+  )
+  return { resources: [pvcFile], patches: [patchFile] }
+}
+
 // Write out the Kustomization files for a meta-module
 async function writeModuleConfiguration(
   env = 'production',
   mod,
+  modConfig = {},
   options = { force: false, update: false }
 ) {
   if (typeof mod !== 'object' || typeof mod.name !== 'string') throw new Error('Invalid module!')
@@ -335,6 +585,9 @@ async function writeModuleConfiguration(
   const deploymentFile = `${mod.kind || 'deployment'}.yaml`
   const resources = [deploymentFile]
   const secrets = []
+  const overlayResources = []
+  const patches = []
+  let values = {}
   await mkdir(modPath, options)
   if (mod.ports && mod.ports.length > 0) {
     await writeService(`${modPath}/service.yaml`, mod.name, mod.ports, options)
@@ -343,18 +596,58 @@ async function writeModuleConfiguration(
   await writeKustomization(`${modPath}/kustomization.yaml`, { ...options, resources, secrets: [] })
   if (mod.envs) {
     await mkdir(`k8s/overlays/${env}/secrets`, options)
-    await writeSecret(`k8s/overlays/${env}/secrets/${mod.name}.env`, { ...options, ...mod, env })
+    values = await writeSecret(`k8s/overlays/${env}/secrets/${mod.name}.env`, {
+      ...options,
+      ...mod,
+      env
+    })
     secrets.push({ name: mod.name, path: `secrets/${mod.name}.env` })
   }
-  await writeDeployment(`${modPath}/${deploymentFile}`, null, { ...options, ...mod, secrets })
-  return { base: `../../../${modPath}`, secrets }
+  // Modules check their health with their own tools (ie: pg_isready), falling back to a TCP check
+  let probe = null
+  if (mod.healthCheck) probe = { exec: { command: mod.healthCheck } }
+  else if (mod.ports && mod.ports.length > 0) probe = { tcpSocket: { port: mod.ports[0] } }
+  await writeDeployment(`${modPath}/${deploymentFile}`, null, {
+    ...options,
+    ...mod,
+    image: mod.version ? `${moduleImageName(mod)}:${mod.version}` : mod.image,
+    secrets,
+    probe
+  })
+  const images = []
+  if (modConfig.version) images.push({ name: moduleImageName(mod), newTag: modConfig.version })
+
+  // Modules with data to keep get a volume - unless it's optional (ie: redis) and hasn't been enabled for this env
+  if (mod.storage) {
+    const storage = Object.assign(
+      { enabled: !mod.storage.optional, size: mod.storage.size || '1Gi' },
+      modConfig.storage
+    )
+    modConfig.storage = storage
+    if (storage.enabled) {
+      const written = await writeModuleStorage(env, mod, storage, options)
+      overlayResources.push(...written.resources)
+      patches.push(...written.patches)
+    }
+  }
+  return {
+    base: `../../../${modPath}`,
+    secrets,
+    values,
+    resources: overlayResources,
+    patches,
+    images
+  }
 }
 
-function loadAndMergeYAML(path, newData) {
+// "omit" lists keys (or paths, ie: "spec.replicas") to remove from the existing file, as merging can't remove anything
+function loadAndMergeYAML(filePath, newData, options, omit = []) {
   if (!newData) throw new Error('loadAndMergeYAML handed null newData')
+  const fullPath = path.join(options.target, filePath)
   let yamlStr = ''
-  if (fs.existsSync(path)) {
-    const existing = yaml.safeLoad(fs.readFileSync(path))
+  if (fs.existsSync(fullPath)) {
+    const existing = yaml.safeLoad(fs.readFileSync(fullPath))
+    omit.forEach(key => unset(existing, key))
     merge(existing, newData)
     if (typeof existing !== 'object') throw new Error('loadAndMergeYAML null existing')
     yamlStr = yaml.safeDump(existing)
@@ -364,8 +657,18 @@ function loadAndMergeYAML(path, newData) {
 
 // Writes a simple Kubernetes Deployment object
 async function writeDeployment(path, language, options = { force: false, update: false }) {
-  const { name, entrypoint, image, ports = [], secrets = [] } = options
-  const resources = {
+  const {
+    name,
+    entrypoint,
+    image,
+    ports = [],
+    secrets = [],
+    probe,
+    settings,
+    securityContext
+  } = options
+  // Modules which need more than the default (ie: elasticsearch) declare their own resources
+  const resources = options.resources || {
     requests: { cpu: '50m', memory: '100Mi' },
     limits: { cpu: '500m', memory: '256Mi' }
   }
@@ -377,29 +680,52 @@ async function writeDeployment(path, language, options = { force: false, update:
   if (entrypoint) container.command = entrypoint
   if (language && language.entrypoint) container.command = language.entrypoint(container.command)
   if (!container.command) delete container.command
-  else container.command.split(' ').filter(Boolean)
+  else container.command = container.command.split(' ').filter(Boolean)
+
+  // Probes are replaced rather than merged, as a probe can only have one handler (ie: httpGet or tcpSocket)
+  const probeTypes = ['readinessProbe', 'livenessProbe', 'startupProbe']
+  // Startup probes give slow-starting apps ~2.5 minutes before the liveness probe can restart them
+  if (probe) {
+    container.readinessProbe = { ...probe, initialDelaySeconds: 5, periodSeconds: 10 }
+    container.livenessProbe = { ...probe, periodSeconds: 20, failureThreshold: 3 }
+    container.startupProbe = { ...probe, periodSeconds: 5, failureThreshold: 30 }
+  }
 
   if (secrets.length > 0) {
     container.envFrom = secrets.map(secret => {
       return { secretRef: { name: secret.name } }
     })
   }
+  // Settings that aren't secret (ie: elasticsearch's "discovery.type") are set on the container itself
+  if (settings) {
+    container.env = Object.keys(settings).map(key => {
+      return { name: key, value: String(settings[key]) }
+    })
+  }
+  const podSpec = { containers: [container] }
+  if (securityContext) podSpec.securityContext = securityContext
 
   await confirmWriteFile(
     path,
-    loadAndMergeYAML(path, {
-      apiVersion: 'apps/v1',
-      kind: 'Deployment',
-      metadata: { name },
-      spec: {
-        replicas: 1,
-        selector: { matchLabels: { app: name } },
-        template: {
-          metadata: { labels: { app: name } },
-          spec: { containers: [container] }
+    loadAndMergeYAML(
+      path,
+      {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name },
+        spec: {
+          replicas: 1,
+          selector: { matchLabels: { app: name } },
+          template: {
+            metadata: { labels: { app: name } },
+            spec: podSpec
+          }
         }
-      }
-    }),
+      },
+      options,
+      // A command is only kept while the language still sets one - otherwise the image's CMD is used
+      ['command', ...probeTypes].map(field => `spec.template.spec.containers[0].${field}`)
+    ),
     options
   )
 }
@@ -408,17 +734,21 @@ async function writeDeployment(path, language, options = { force: false, update:
 async function writeService(path, name, ports, options = { force: false, update: false }) {
   await confirmWriteFile(
     path,
-    loadAndMergeYAML(path, {
-      apiVersion: 'v1',
-      kind: 'Service',
-      metadata: { name },
-      spec: {
-        selector: { app: name },
-        ports: ports.map(port => {
-          return { port, targetPort: port, protocol: 'TCP' }
-        })
-      }
-    }),
+    loadAndMergeYAML(
+      path,
+      {
+        apiVersion: 'v1',
+        kind: 'Service',
+        metadata: { name },
+        spec: {
+          selector: { app: name },
+          ports: ports.map(port => {
+            return { port, targetPort: port, protocol: 'TCP' }
+          })
+        }
+      },
+      options
+    ),
     options
   )
 }
@@ -435,35 +765,50 @@ async function writeIngress(path, name, uri, port, options = { force: false, upd
   }
   await confirmWriteFile(
     path,
-    loadAndMergeYAML(path, {
-      apiVersion: 'networking.k8s.io/v1beta1',
-      kind: 'Ingress',
-      metadata: { name },
-      spec
-    }),
+    loadAndMergeYAML(
+      path,
+      {
+        apiVersion: 'networking.k8s.io/v1beta1',
+        kind: 'Ingress',
+        metadata: { name },
+        spec
+      },
+      options
+    ),
     options
   )
 }
 
 async function writeKustomization(path, options = { force: false, update: false }) {
-  const { resources = [], bases = [], secrets = {} } = options
+  const {
+    resources = [],
+    bases = [],
+    secrets = {},
+    commonLabels = {},
+    patches = [],
+    images = []
+  } = options
   const kustomization = { resources, bases }
+  if (Object.keys(commonLabels).length > 0) kustomization.commonLabels = commonLabels
+  if (patches.length > 0) kustomization.patchesStrategicMerge = patches
+  if (images.length > 0) kustomization.images = images
   if (secrets.length > 0) {
     kustomization.secretGenerator = []
     for (let i = 0; i < secrets.length; i++) {
       kustomization.secretGenerator.push({ name: secrets[i].name, envs: [secrets[i].path] })
     }
   }
-  await confirmWriteFile(path, loadAndMergeYAML(path, kustomization), options)
+  // Lists are rebuilt from what is deployed now - merging them would keep (or duplicate) old entries
+  const omit = ['resources', 'bases', 'patchesStrategicMerge', 'secretGenerator', 'images']
+  await confirmWriteFile(path, loadAndMergeYAML(path, kustomization, options, omit), options)
 }
 
-async function writeSecret(path, options = { force: false, update: false }) {
-  const { envs } = options
-  const lines = []
+// Reads the KEY=value lines of an existing secrets file in the project
+function readSecretsFile(secretsPath, options) {
   const existingSecrets = {}
-  await mkdir(`k8s/overlays/${options.env}/secrets`, { ...options, dontPrune: true })
-  if (fs.existsSync(path)) {
-    const lines = fs.readFileSync(path).toString().split('\n').filter(Boolean)
+  const fullPath = path.join(options.target, secretsPath)
+  if (fs.existsSync(fullPath)) {
+    const lines = fs.readFileSync(fullPath).toString().split('\n').filter(Boolean)
     lines.forEach((line, i) => {
       try {
         existingSecrets[line.slice(0, line.indexOf('='))] = line.slice(
@@ -471,19 +816,158 @@ async function writeSecret(path, options = { force: false, update: false }) {
           line.length
         )
       } catch (err) {
-        log(`${WARNING} Failed to parse secret from "${path}", line ${i + 1}`)
+        log(`${WARNING} Failed to parse secret from "${secretsPath}", line ${i + 1}`)
       }
     })
   }
+  return existingSecrets
+}
+
+async function writeSecret(path, options = { force: false, update: false }) {
+  const { envs, secretValues = {} } = options
+  const lines = []
+  const values = {}
+  await mkdir(`k8s/overlays/${options.env}/secrets`, { ...options, dontPrune: true })
+  const existingSecrets = readSecretsFile(path, options)
   for (const key in envs) {
-    let value =
-      process.env[key] || typeof envs[key] === 'function'
-        ? envs[key](existingSecrets[key], options)
-        : envs[key]
+    // Values given with --secret win, then the environment (ie: in CI), then the existing secrets file -
+    // only then is a value generated or asked for
+    let value
+    if (secretValues[key] !== undefined) value = secretValues[key]
+    else if (process.env[key]) value = process.env[key]
+    else if (existingSecrets[key] !== undefined) value = existingSecrets[key]
+    else if (typeof envs[key] === 'function') value = envs[key](undefined, options)
+    else value = envs[key]
     if (value instanceof Promise) value = await value
+    values[key] = value
     lines.push(`${key}=${value}`)
   }
   await confirmWriteFile(path, lines.join('\n') + '\n', { ...options, dontPrune: true })
+  return values
+}
+
+// Writes the variables an app uses to connect to a module (ie: DATABASE_URL), named by the conventions
+// of each language deployed in this env. A module's "appEnvs" are keyed by language name (or "default"),
+// and functions in them are passed "values" - the module's own secrets (ie: POSTGRES_PASSWORD)
+async function writeModuleConnection(env, mod, values, languageNames, options) {
+  if (!mod.appEnvs) return null
+  const envs = {}
+  languageNames.forEach(languageName => {
+    const appEnvs = mod.appEnvs[languageName] || mod.appEnvs.default || {}
+    for (const key in appEnvs) {
+      envs[key] = typeof appEnvs[key] === 'function' ? appEnvs[key](values) : appEnvs[key]
+    }
+  })
+  const name = `${mod.name}-connection`
+  const secretPath = `secrets/${name}.env`
+  const lines = Object.keys(envs).map(key => `${key}=${envs[key]}`)
+  await mkdir(`k8s/overlays/${env}/secrets`, { ...options, dontPrune: true })
+  await confirmWriteFile(`k8s/overlays/${env}/${secretPath}`, lines.join('\n') + '\n', {
+    ...options,
+    dontPrune: true
+  })
+  return { name, path: secretPath }
+}
+
+// External modules (ie: a managed database) only get the variables apps use to connect to them
+// If a host is given, an ExternalName Service lets apps reach it by the module's name, like an in-cluster module
+async function writeExternalModule(env, mod, modConfig, languageNames, options) {
+  const resources = []
+  if (modConfig.host === undefined && options.prompts) {
+    process.stdout.write('\n')
+    const { host } = await prompt([
+      {
+        name: 'host',
+        type: 'input',
+        message: `What is the hostname of your external ${mod.name}? (Leave empty to skip creating a "${mod.name}" Service)`
+      }
+    ])
+    modConfig.host = host || ''
+  }
+  if (modConfig.host) {
+    const serviceFile = `${mod.name}-service.yaml`
+    await confirmWriteFile(
+      `k8s/overlays/${env}/${serviceFile}`,
+      loadAndMergeYAML(
+        `k8s/overlays/${env}/${serviceFile}`,
+        {
+          apiVersion: 'v1',
+          kind: 'Service',
+          metadata: { name: mod.name },
+          spec: { type: 'ExternalName', externalName: modConfig.host }
+        },
+        options
+      ),
+      options
+    )
+    resources.push(serviceFile)
+  }
+  if (!mod.appEnvs) return { resources, connection: null }
+
+  // Connection details come from --secret, the environment, an existing secrets file, or the user
+  const name = `${mod.name}-connection`
+  const secretPath = `secrets/${name}.env`
+  const existing = readSecretsFile(`k8s/overlays/${env}/${secretPath}`, options)
+  const envs = {}
+  for (const languageName of languageNames) {
+    const appEnvs = mod.appEnvs[languageName] || mod.appEnvs.default || {}
+    for (const key in appEnvs) {
+      if (envs[key] !== undefined) continue
+      const defaultValue = typeof appEnvs[key] === 'function' ? undefined : appEnvs[key]
+      envs[key] = (options.secretValues || {})[key] || process.env[key] || existing[key]
+      if (!envs[key] && options.prompts) {
+        process.stdout.write('\n')
+        const values = await prompt([
+          {
+            name: key,
+            type: 'input',
+            message: `What is ${key} for your external ${mod.name}?`,
+            default: defaultValue
+          }
+        ])
+        envs[key] = values[key]
+      }
+      if (!envs[key] && defaultValue !== undefined) envs[key] = defaultValue
+      if (!envs[key]) {
+        envs[key] = ''
+        warn(`No value for ${key} was given - set it in k8s/overlays/${env}/${secretPath}`)
+      }
+    }
+  }
+  const lines = Object.keys(envs).map(key => `${key}=${envs[key]}`)
+  await mkdir(`k8s/overlays/${env}/secrets`, { ...options, dontPrune: true })
+  await confirmWriteFile(`k8s/overlays/${env}/${secretPath}`, lines.join('\n') + '\n', {
+    ...options,
+    dontPrune: true
+  })
+  return { resources, connection: { name, path: secretPath } }
+}
+
+// Patches an app's Deployment in an env's overlay, loading the given secrets as environment variables
+async function writeAppSecretsPatch(env, name, secrets, options = { force: false, update: false }) {
+  const patchFile = `${name}-env.yaml`
+  const container = {
+    name,
+    envFrom: secrets.map(secret => {
+      return { secretRef: { name: secret.name } }
+    })
+  }
+  await confirmWriteFile(
+    `k8s/overlays/${env}/${patchFile}`,
+    loadAndMergeYAML(
+      `k8s/overlays/${env}/${patchFile}`,
+      {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name },
+        spec: { template: { spec: { containers: [container] } } }
+      },
+      options,
+      ['spec.template.spec.containers[0].envFrom']
+    ),
+    options
+  )
+  return patchFile
 }
 
 async function writeSkaffold(path, envs, options = { force: false, update: false }) {
@@ -517,13 +1001,17 @@ async function writeSkaffold(path, envs, options = { force: false, update: false
     .flat()
   await confirmWriteFile(
     path,
-    loadAndMergeYAML(path, {
-      apiVersion: 'skaffold/v2beta5',
-      kind: 'Config',
-      portForward: [],
-      build: { artifacts },
-      profiles
-    }),
+    loadAndMergeYAML(
+      path,
+      {
+        apiVersion: 'skaffold/v2beta5',
+        kind: 'Config',
+        portForward: [],
+        build: { artifacts },
+        profiles
+      },
+      options
+    ),
     options
   )
 }
@@ -577,6 +1065,17 @@ async function generateArtifact(
   let uri = options.address || artifact.uri
   if (ports.length > 0 && uri === undefined) uri = await promptForIngress()
 
+  // Health checks are HTTP requests when we have an ingress, otherwise we check that the first port is open
+  let healthPath = options.healthCheckPath || artifact.healthPath
+  if (uri && healthPath === undefined) healthPath = await promptForHealthPath(options)
+  let probe = null
+  if (ports.length > 0) {
+    probe =
+      uri && healthPath
+        ? { httpGet: { path: healthPath, port: ports[0] } }
+        : { tcpSocket: { port: ports[0] } }
+  }
+
   // Secrets will track secrets created by our dependencies which need to be written out to Kubernetes Secrets
   const secrets = []
 
@@ -593,10 +1092,10 @@ async function generateArtifact(
     bases.push(`../../base/${envConfig[i].name}`)
   }
 
-  // Write Dockerfile based on our language
+  // Write Dockerfile based on our language - note that languages may write supporting files (eg: nginx.conf)
   await confirmWriteFile(
     'Dockerfile',
-    language.dockerfile({ ...options, entrypoint, name, env }),
+    await language.dockerfile({ ...options, entrypoint, name, env, ports }),
     options
   )
 
@@ -607,7 +1106,8 @@ async function generateArtifact(
     name,
     entrypoint,
     ports,
-    secrets
+    secrets,
+    probe
   })
   resources.push('./deployment.yaml')
 
@@ -646,6 +1146,7 @@ async function generateArtifact(
     image: options.image,
     entrypoint,
     ports,
+    healthPath,
     language: language.name
   })
   if (!envConfig.find(a => a.entrypoint === artifact.entrypoint)) envConfig.push(artifact)
@@ -659,10 +1160,30 @@ async function init(action, env = 'production', config, options = { update: fals
   if (!config.envs) config.envs = {}
   if (!config.envs[env]) config.envs[env] = []
   if (!validProjectNameRegex.test(env)) return fatal(`Invalid env "${env}" provided!`)
+  if (!config.overlays) config.overlays = {}
+  if (!config.overlays[env]) config.overlays[env] = {}
   let artifacts = config.envs[env]
+  const overlay = config.overlays[env]
   const bases = []
   let secrets = []
 
+  // Labels are stored per env and applied to every resource in that env via the overlay's "commonLabels"
+  const labels = Object.assign({}, overlay.labels, options.labels)
+  for (const key in labels) {
+    if (!validLabelKeyRegex.test(key)) return fatal(`Invalid label name "${key}" provided!`)
+    if (!validLabelValueRegex.test(labels[key])) {
+      return fatal(`Invalid value "${labels[key]}" provided for label "${key}"!`)
+    }
+  }
+  if (Object.keys(labels).length > 0) overlay.labels = labels
+
+  // Encrypted secrets are decrypted for kustomize (and so existing values are kept), then re-encrypted below
+  if (options.encryptSecrets)
+    overlay.secrets = Object.assign({}, overlay.secrets, { encrypted: true })
+  const encryptedSecrets = isEncryptionEnabled(config, env)
+  if (encryptedSecrets) await decryptSecrets(env, options)
+  const backend = secretsBackend(config, env)
+
   // Container image (Note that we assume one Docker image per project, even if there are multiple entrypoints / artifacts)
   // Users with multi-language mono-repos probably should eject and design their own Skaffold configuration :)
   const image = options.image
@@ -702,52 +1223,122 @@ async function init(action, env = 'production', config, options = { update: fals
   }
 
   const matchedModules = []
-  artifacts.forEach(async artifact => {
+  for (let i = 0; i < artifacts.length; i++) {
+    const artifact = artifacts[i]
     bases.push(`../../base/${artifact.name}`)
-    // Find service modules we support
-    if (artifact.language.matchModules) {
-      await artifact.language.matchModules(metaModules, options).map(mod => {
-        if (!matchedModules.find(n => n === mod.name)) matchedModules.push(mod)
+    // Find service modules we support - note that artifacts only store the name of their language
+    const language = languages.find(l => l.name === artifact.language)
+    if (language && language.matchModules) {
+      const modules = await language.matchModules(metaModules, options)
+      modules.forEach(mod => {
+        if (!matchedModules.find(m => m.name === mod.name)) matchedModules.push(mod)
       })
     }
-  })
+  }
 
-  // Add explicitly chosen modules as well
+  // Add explicitly chosen modules as well (by name, from .dna.json or --modules) - these are remembered for next time
   const chosenModules = []
-    .concat(config.modules || [], options.modules)
+    .concat(config.modules || [], options.modules || [])
     .filter((v, i, s) => s.indexOf(v) === i)
-  if (chosenModules.length) {
-    chosenModules.forEach(mod => {
-      const metaModule = metaModules.find(m => m.name === mod.name)
-      if (metaModule) matchedModules.push(metaModule)
-    })
+  chosenModules.forEach(name => {
+    const metaModule = metaModules.find(m => m.name === name)
+    if (!metaModule) {
+      return fatal(
+        `Unknown module "${name}"! Known modules are: ${metaModules.map(m => m.name).join(', ')}`
+      )
+    }
+    if (!matchedModules.find(m => m.name === name)) matchedModules.push(metaModule)
+  })
+  if (chosenModules.length > 0) config.modules = chosenModules
+  if (matchedModules.length > 0) {
+    debug(`Adding configuration for submodules: "${matchedModules.map(m => m.name).join(', ')}"`)
   }
-  if (matchedModules.length > 0)
-    debug(`Adding configuration for submodules: "${matchedModules.join(', ')}"`)
 
   // Add matched modules to our Kustomization file
+  const overlayResources = []
+  const patches = []
+  const connectionSecrets = []
+  const images = []
+  const appLanguages = artifacts.map(a => a.language).filter((v, i, s) => s.indexOf(v) === i)
+  const appLanguageObjects = languages.filter(l => appLanguages.includes(l.name))
   for (let i = 0; i < matchedModules.length; i++) {
     const matched = matchedModules[i]
-    const { base, secrets: moduleSecrets } = await writeModuleConfiguration(env, matched, options)
-    secrets = secrets.concat(moduleSecrets)
-    bases.push(base)
+    const modConfig = getModuleConfig(overlay, matched)
+    modConfig.mode = await promptForModuleMode(env, matched, modConfig, options)
+    if (modConfig.mode === 'disabled') continue
+    if (modConfig.mode === 'external') {
+      const external = await writeExternalModule(env, matched, modConfig, appLanguages, options)
+      overlayResources.push(...external.resources)
+      if (external.connection) connectionSecrets.push(external.connection)
+      continue
+    }
+    // Pin the module's version the first time it's added to an env, so later releases don't upgrade it
+    if (matched.version && !modConfig.version) modConfig.version = matched.version
+    checkDriverCompatibility(matched, modConfig.version, appLanguageObjects, options)
+    const written = await writeModuleConfiguration(env, matched, modConfig, options)
+    secrets = secrets.concat(written.secrets)
+    bases.push(written.base)
+    overlayResources.push(...written.resources)
+    patches.push(...written.patches)
+    const resourcesPatch = await writeResourcesPatch(env, matched.name, modConfig, options)
+    if (resourcesPatch) patches.push(resourcesPatch)
+    images.push(...written.images)
+    const connection = await writeModuleConnection(
+      env,
+      matched,
+      written.values,
+      appLanguages,
+      options
+    )
+    if (connection) connectionSecrets.push(connection)
+  }
+
+  // Give our apps the variables they need to connect to their modules (ie: DATABASE_URL)
+  if (connectionSecrets.length > 0) {
+    secrets = secrets.concat(connectionSecrets)
+    for (let i = 0; i < artifacts.length; i++) {
+      patches.push(await writeAppSecretsPatch(env, artifacts[i].name, connectionSecrets, options))
+    }
+  }
+
+  for (let i = 0; i < artifacts.length; i++) {
+    const appConfig = getAppConfig(overlay, artifacts[i].name, options)
+    const resourcesPatch = await writeResourcesPatch(env, artifacts[i].name, appConfig, options)
+    if (resourcesPatch) patches.push(resourcesPatch)
   }
 
   config.envs[env] = artifacts
 
   // Write supporting files - note that it's very important that users ignore secrets!!!
-  // TODO: We don't really offer any sort of solution for secrets management (git-crypt probably fits best)
+  // Only encrypted secrets (see "--encrypt-secrets") are safe to commit
   await writeTextLine('.gitignore', 'k8s/overlays/*/secrets/*', {
     ...options,
     append: true,
     dontPrune: true
   })
+  if (encryptedSecrets) {
+    await encryptSecrets(env, options)
+    await writeTextLine('.gitignore', '!k8s/overlays/*/secrets/*.enc', {
+      ...options,
+      append: true,
+      dontPrune: true
+    })
+  }
   await writeTextLine('.dockerignore', 'k8s', { ...options, append: true, dontPrune: true })
+
+  // Envs using a secrets backend (ie: for GitOps) get a committable resource for each Secret instead
+  if (backend !== 'plain') {
+    overlayResources.push(...(await writeSecretResources(env, secrets, overlay.secrets, options)))
+  }
   await writeKustomization(`k8s/overlays/${env}/kustomization.yaml`, {
     ...options,
     env,
     bases,
-    secrets
+    secrets: backend === 'plain' ? secrets : [],
+    resources: overlayResources,
+    patches,
+    images,
+    commonLabels: labels
   })
   await writeSkaffold('skaffold.yaml', config.envs, options)
   await confirmWriteFile('.dna.json', JSON.stringify(config, null, 2) + '\n', {
@@ -758,6 +1349,71 @@ async function init(action, env = 'production', config, options = { update: fals
   })
 }
 
+// The names of the modules an env runs in the cluster, according to .dna.json
+function inClusterModules(config, env) {
+  const overlay = (config.overlays && config.overlays[env]) || {}
+  return Object.keys(overlay.modules || {}).filter(name =>
+    ['in-cluster', undefined].includes(overlay.modules[name].mode)
+  )
+}
+
+// Deletes an env's resources, except for the PersistentVolumeClaims and Secrets of its in-cluster modules
+// Skaffold can't skip resources when deleting, so we render the overlay with kubectl and delete the rest ourselves
+function destroyKeepingData(env, config, options, execOptions) {
+  ensureKubectl('use --keep-data')
+  // The names we give module data: "<mod>-data" volumes, and "<mod>" and "<mod>-connection" Secrets - which
+  // kustomize's secretGenerator suffixes with a hash of their contents
+  const dataNames = [].concat(
+    ...inClusterModules(config, env).map(mod => [`${mod}-data`, mod, `${mod}-connection`])
+  )
+  const hashSuffix = /-[bcdfghjklmnpqrstvwxz2456789]{10}$/
+  const overlayPath = path.join(options.target, 'k8s', 'overlays', env)
+  const rendered = execSyncWithEnv(`kubectl kustomize ${overlayPath}`, { catchErr: false })
+  const kept = []
+  const documents = yaml.safeLoadAll(rendered).filter(doc => {
+    if (!doc) return false
+    const { name } = doc.metadata || {}
+    const isData =
+      (doc.kind === 'PersistentVolumeClaim' && dataNames.includes(name)) ||
+      (doc.kind === 'Secret' && dataNames.includes(name.replace(hashSuffix, '')))
+    if (isData) {
+      kept.push(`${doc.kind.toLowerCase()}/${name}`)
+      return false
+    }
+    return true
+  })
+  if (kept.length > 0) log(`Keeping ${kept.join(', ')}`)
+  execSyncWithEnv('kubectl delete --ignore-not-found -f -', {
+    ...execOptions,
+    stdio: ['pipe', 'inherit', 'inherit'],
+    input: documents.map(doc => yaml.safeDump(doc)).join('---\n')
+  })
+}
+
+// Rotates the credentials of one or all of an env's in-cluster modules - only modules which know how to change
+// them in a running pod (their "rotate" property) can be rotated
+async function rotateModules(env, config, options) {
+  ensureKubectl('rotate credentials')
+  const names = inClusterModules(config, env)
+  const name = options.actionArg
+  if (name && !names.includes(name)) {
+    return fatal(`No module named "${name}" runs in "${env}"! Try one of: ${names.join(', ')}`)
+  }
+  const modules = metaModules.filter(m => (name ? m.name === name : names.includes(m.name)))
+  const rotatable = modules.filter(m => m.rotate)
+  if (rotatable.length === 0) {
+    return fatal(
+      name
+        ? `${name} doesn't support rotating credentials!`
+        : `No modules in "${env}" can be rotated!`
+    )
+  }
+  const encrypted = isEncryptionEnabled(config, env)
+  if (encrypted) await decryptSecrets(env, options)
+  for (const mod of rotatable) await rotateCredentials(env, mod, options)
+  if (encrypted) await encryptSecrets(env, options)
+}
+
 module.exports = async function DeployNodeApp(env, action, options) {
   if (!env) env = 'production'
   if (!action) {
@@ -766,20 +1422,59 @@ module.exports = async function DeployNodeApp(env, action, options) {
   }
   const skaffoldPath = await ensureBinaries(options)
   const config = await readDNAConfig(options)
+  registerPlugins(loadPlugins(config, options))
 
   if (!options.write) process.on('beforeExit', () => cleanupWrittenFiles(options))
 
+  // kustomize can't decrypt sops-encrypted Secrets - those envs are deployed by a tool which can, like Flux
+  if (
+    ['deploy', 'dev', 'rotate', 'rollback'].includes(action) &&
+    config.overlays &&
+    secretsBackend(config, env) === 'sops'
+  ) {
+    return fatal(
+      `The secrets of "${env}" are encrypted with sops, which kustomize can't decrypt! Commit "k8s/overlays/${env}" and deploy it with Flux (or another tool that decrypts sops) instead`
+    )
+  }
+
   async function deployMessage() {
     log(`Deploying to ${style.red.open}${env}${style.red.close}!`)
     if (!options.force && !process.env.CI) await sleep(1000) // Give administrators a chance to exit!
   }
 
+  // Destroying is permanent, so we always ask first - unless --force is used
+  async function destroyMessage() {
+    if (options.force || !options.prompts) {
+      log(`Destroying ${style.red.open}${env}${style.red.close}!`)
+      return
+    }
+    const { confirmDestroy } = await prompt([
+      {
+        name: 'confirmDestroy',
+        type: 'confirm',
+        default: false,
+        message: `This will delete everything deployed to ${style.red.open}${env}${style.red.close}! Are you sure?`
+      }
+    ])
+    if (!confirmDestroy) {
+      log('Nothing was destroyed')
+      process.exit(0)
+    }
+  }
+
   if (action === 'init') {
     options.write = true
     options.update = true
   }
   if (action === 'add') options.update = true
-  await init(action, env, config, options)
+  // Credentials are changed before init, so it rewrites everything made from them (ie: DATABASE_URL)
+  if (action === 'rotate') {
+    await rotateModules(env, config, options)
+    options.update = true
+  }
+  // Some actions only inspect or delete what's already deployed, or manage secrets, so our files aren't (re)written
+  const standaloneActions = ['status', 'logs', 'shell', 'history', 'secrets', 'destroy']
+  if (!standaloneActions.includes(action)) await init(action, env, config, options)
 
   let SKAFFOLD_NAMESPACE = 'default'
   if (kubeConfig && kubeConfig['current-context'] && kubeConfig.contexts) {
@@ -793,6 +1488,26 @@ module.exports = async function DeployNodeApp(env, action, options) {
     env: Object.assign({}, process.env, { SKAFFOLD_NAMESPACE })
   }
 
+  function deployBuilds(buildsFile) {
+    execSyncWithEnv(
+      `${skaffoldPath} deploy --profile=${env} --build-artifacts=${buildsFile}`,
+      execOptions
+    )
+  }
+
+  // Building and deploying separately (rather than "skaffold run") tells us which images were deployed
+  function buildAndDeploy() {
+    const buildsFile = path.join(os.tmpdir(), `dna-builds-${process.pid}.json`)
+    execSyncWithEnv(
+      `${skaffoldPath} build --profile=${env} --file-output=${buildsFile}`,
+      execOptions
+    )
+    deployBuilds(buildsFile)
+    const { builds } = JSON.parse(fs.readFileSync(buildsFile))
+    fs.unlinkSync(buildsFile)
+    log(`Recorded deploy #${recordDeploy(env, builds, options).id}`)
+  }
+
   if (action === 'init') {
     if (process.env.REPO_BUILDER_PROMPT_JSON) {
       log(`KUBESAIL_REPO_BUILDER_INIT_OUTPUT|${JSON.stringify(config)}`)
@@ -801,7 +1516,65 @@ module.exports = async function DeployNodeApp(env, action, options) {
     process.exit(0)
   } else if (action === 'deploy') {
     await deployMessage()
-    execSyncWithEnv(`${skaffoldPath} run --profile=${env}`, execOptions)
+    buildAndDeploy()
+  } else if (action === 'rotate') {
+    await deployMessage()
+    buildAndDeploy()
+    // Secrets keep their names with some backends, so apps are restarted to be sure they pick up the new ones
+    const apps = config.envs[env].map(a => a.name)
+    execSyncWithEnv(
+      `kubectl rollout restart ${apps.map(a => `deployment/${a}`).join(' ')}`,
+      execOptions
+    )
+  } else if (action === 'rollback') {
+    const entry = findRollback(env, parseInt(options.actionArg || 1, 10), options)
+    // Rolling back to a rollback rolls back to the deploy it restored
+    const rollbackOf = entry.rollbackOf || entry.id
+    log(`Rolling back to deploy #${rollbackOf} from ${entry.timestamp}`)
+    await deployMessage()
+    const buildsFile = path.join(os.tmpdir(), `dna-builds-${process.pid}.json`)
+    fs.writeFileSync(buildsFile, JSON.stringify({ builds: entry.builds }))
+    deployBuilds(buildsFile)
+    fs.unlinkSync(buildsFile)
+    log(`Recorded deploy #${recordDeploy(env, entry.builds, options, { rollbackOf }).id}`)
+  } else if (action === 'history') {
+    printHistory(env, options)
+  } else if (action === 'destroy') {
+    if (((config.envs || {})[env] || []).length === 0) {
+      return fatal(`Nothing has been set up for "${env}"!`)
+    }
+    await destroyMessage()
+    if (options.keepData) destroyKeepingData(env, config, options, execOptions)
+    else execSyncWithEnv(`${skaffoldPath} delete --profile=${env}`, execOptions)
+  } else if (action === 'secrets') {
+    await secretsAction(env, config, options.actionArgs, options, metaModules)
+  } else if (['status', 'logs', 'shell'].includes(action)) {
+    const artifacts = (config.envs || {})[env] || []
+    if (artifacts.length === 0) {
+      return fatal(
+        `Nothing has been set up for "${env}" - try "deploy-node-app ${env} init" first!`
+      )
+    }
+    const apps = artifacts.map(a => a.name)
+    const modules = inClusterModules(config, env)
+    const name = options.actionArg
+    if (name && !apps.includes(name) && !modules.includes(name)) {
+      return fatal(
+        `No app or module named "${name}" in "${env}"! Try one of: ${apps
+          .concat(modules)
+          .join(', ')}`
+      )
+    }
+    if (action === 'logs') await logs(name ? [name] : apps.concat(modules), options)
+    else if (action === 'shell')
+      shell(
+        name || apps[0],
+        metaModules.find(m => m.name === name)
+      )
+    else {
+      const ingresses = artifacts.filter(a => a.uri).map(a => a.name)
+      await status(env, { apps, modules, ingresses }, options)
+    }
   } else if (action === 'dev') {
     execSyncWithEnv(`${skaffoldPath} dev --profile=${env} --port-forward`, execOptions)
   } else if (['build'].includes(action)) {
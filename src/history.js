@@ -0,0 +1,112 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const chalk = require('chalk')
+const { fatal, log, warn, execSyncWithEnv } = require('./util')
+
+// Deploys are recorded per env in the project, so the team shares one history (and it can be committed)
+const historyFile = options => path.join(options.target, '.dna-history.json')
+
+function readHistory(options) {
+  try {
+    return JSON.parse(fs.readFileSync(historyFile(options)))
+  } catch (err) {}
+  return {}
+}
+
+// A hash of the env's rendered manifests, so we can tell if they've changed since a deploy
+function manifestHash(env, options) {
+  if (!execSyncWithEnv('which kubectl')) return null
+  const rendered = execSyncWithEnv(
+    `kubectl kustomize ${path.join(options.target, 'k8s', 'overlays', env)}`
+  )
+  if (!rendered) return null
+  return crypto.createHash('sha256').update(rendered).digest('hex')
+}
+
+function deployer(options) {
+  const gitUser = execSyncWithEnv(`git -C "${options.target}" config user.name`)
+  if (gitUser) return gitUser
+  try {
+    return os.userInfo().username
+  } catch (err) {}
+  return null
+}
+
+// Saves a successful deploy - "builds" are the images skaffold built, as written by "skaffold build --file-output"
+function recordDeploy(env, builds, options, extra = {}) {
+  const history = readHistory(options)
+  if (!history[env]) history[env] = []
+  const previous = history[env][history[env].length - 1]
+  const entry = Object.assign(
+    {
+      id: previous ? previous.id + 1 : 1,
+      timestamp: new Date().toISOString(),
+      commit: execSyncWithEnv(`git -C "${options.target}" rev-parse --short HEAD`) || null,
+      deployedBy: deployer(options),
+      manifestHash: manifestHash(env, options),
+      builds
+    },
+    extra
+  )
+  history[env].push(entry)
+  fs.writeFileSync(historyFile(options), JSON.stringify(history, null, 2) + '\n')
+  return entry
+}
+
+// The deploys which led to what's running now - a rollback undoes every deploy since the one it rolled back to,
+// so rolling back again never redeploys a release that was rolled back
+function liveDeploys(entries) {
+  const live = []
+  entries.forEach(entry => {
+    if (entry.rollbackOf) {
+      const index = live.map(e => e.rollbackOf || e.id).lastIndexOf(entry.rollbackOf)
+      if (index !== -1) live.splice(index)
+    }
+    live.push(entry)
+  })
+  return live
+}
+
+// Finds the deploy "n" deploys before the latest one, skipping those which were rolled back
+function findRollback(env, n, options) {
+  const entries = liveDeploys(readHistory(options)[env] || [])
+  if (!Number.isInteger(n) || n < 1) return fatal('Rollback expects a positive number of deploys!')
+  if (entries.length <= n) {
+    return fatal(
+      `Can't roll back ${n} deploy(s) - "${env}" only has ${
+        entries.length > 0 ? entries.length - 1 : 0
+      } earlier deploy(s) which haven't been rolled back!`
+    )
+  }
+  const entry = entries[entries.length - 1 - n]
+  const currentHash = manifestHash(env, options)
+  if (entry.manifestHash && currentHash && entry.manifestHash !== currentHash) {
+    warn(
+      `Your manifests have changed since deploy #${entry.id}` +
+        (entry.commit ? ` - check out ${entry.commit} to restore them exactly` : '')
+    )
+  }
+  return entry
+}
+
+function printHistory(env, options) {
+  const entries = readHistory(options)[env] || []
+  if (options.json) return log(JSON.stringify(entries, null, 2))
+  if (entries.length === 0) return log(`No deploys of "${env}" have been recorded yet`)
+  entries
+    .slice()
+    .reverse()
+    .forEach(entry => {
+      const rollback = entry.rollbackOf ? chalk.yellow(` (rollback to #${entry.rollbackOf})`) : ''
+      log(
+        `${chalk.bold(`#${entry.id}`)}  ${entry.timestamp}  ${entry.commit || '-'}  ${
+          entry.deployedBy || '-'
+        }${rollback}`
+      )
+      ;(entry.builds || []).forEach(build => log(`    ${build.tag}`))
+    })
+}
+
+module.exports = { recordDeploy, findRollback, printHistory }
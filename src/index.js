@@ -1,22 +1,25 @@
 #!/usr/bin/env node
 
-const USAGE = '[env] [action]'
+const USAGE = '[env] [action] [args...]'
 
 const program = require('commander')
 const deployNodeApp = require('./deployNodeApp')
+const { fatal } = require('./util')
 const dnaPackageJson = require(__dirname + '/../package.json') // eslint-disable-line
 
 let env
 let action
+let actionArgs
 
 program
   .name('deploy-node-app')
   .arguments(USAGE)
   .usage(USAGE)
   .version(dnaPackageJson.version)
-  .action((_env, _action) => {
+  .action((_env, _action, _actionArgs) => {
     env = _env
     action = _action
+    actionArgs = _actionArgs || []
   })
   .option(
     '-w, --write',
@@ -29,6 +32,24 @@ program
   .option('-t, --target <path/to/project>', 'Target project directory', '.')
   .option('-c, --config <path/to/kubeconfig>', 'Kubernetes configuration file', '~/.kube/config')
   .option('-m, --modules <redis,postgres,mongodb>', 'Explicitly add modules')
+  .option(
+    '--module-mode <postgres=external,redis=disabled>',
+    'Choose how each module is provided: in-cluster, external or disabled'
+  )
+  .option('--keep-data', 'Keep the volumes and secrets of modules (ie: databases) when destroying')
+  .option('--since <duration>', 'Show logs newer than a duration, ie: 5m or 2h')
+  .option('--follow', 'Keep streaming new logs')
+  .option('--json', 'Print the status action as JSON')
+  .option(
+    '--secret <KEY=VALUE>',
+    'Set a module secret (ie: POSTGRES_PASSWORD), can be repeated',
+    (secret, secrets) => secrets.concat([secret]),
+    []
+  )
+  .option('--encrypt-secrets', 'Encrypt secrets with a passphrase, so they can be committed')
+  .option('--replicas <count>', "Set the number of replicas of this env's apps")
+  .option('--memory <512Mi>', "Set the memory request and limit of this env's apps")
+  .option('--cpu <500m>', "Set the CPU request and limit of this env's apps")
   .option('--add', 'Add an additional build target')
   .option('--language <name>', 'Override language detection')
   .option('--project-name <name>', 'Answer the project name question')
@@ -36,6 +57,7 @@ program
   .option('--image <image>', 'Answer the image address question')
   .option('--ports <ports>', 'Answer the ports question')
   .option('--address <address>', 'Answer the ingress address question')
+  .option('--health-path <path>', 'Answer the health check path question')
   .option(
     '--no-prompts',
     'Use default values whenever possible, implies --update and --force',
@@ -43,20 +65,54 @@ program
   )
   .parse(process.argv)
 
+// Labels are "key=value" pairs - values may be empty, or contain "=" (which deployNodeApp rejects as invalid)
+function parseLabels(label) {
+  return (typeof label === 'string' ? label : '')
+    .split(',')
+    .filter(pair => pair.trim())
+    .reduce((labels, pair) => {
+      const key = pair.slice(0, pair.indexOf('=')).trim()
+      if (!pair.includes('=') || !key)
+        fatal(`Invalid label "${pair}" - labels look like "key=value"!`)
+      return Object.assign(labels, { [key]: pair.slice(pair.indexOf('=') + 1).trim() })
+    }, {})
+}
+
 deployNodeApp(env, action, {
   language: program.language || null,
   action: action || 'deploy',
+  actionArg: actionArgs[0],
+  actionArgs,
   write: program.write || false,
   update: program.update || false,
   force: program.force || false,
   config: program.config === '~/.kube/config' ? null : program.config,
   modules: (program.modules || '').split(',').filter(Boolean),
+  moduleModes: (program.moduleMode || '')
+    .split(',')
+    .map(m => m.split('=').map(s => s.trim()))
+    .filter(([name, mode]) => name && mode)
+    .reduce((modes, [name, mode]) => Object.assign(modes, { [name]: mode }), {}),
   add: program.add || false,
+  keepData: program.keepData || false,
+  encryptSecrets: program.encryptSecrets || false,
+  secretValues: program.secret
+    .filter(secret => secret.includes('='))
+    .reduce(
+      (values, secret) =>
+        Object.assign(values, {
+          [secret.slice(0, secret.indexOf('='))]: secret.slice(secret.indexOf('=') + 1)
+        }),
+      {}
+    ),
+  replicas: program.replicas === undefined ? undefined : Number(program.replicas),
+  memory: program.memory,
+  cpu: program.cpu,
+  json: program.json || false,
+  since: program.since,
+  follow: program.follow || false,
   target: program.target || '.',
-  labels: (program.label || '')
-    .split(',')
-    .map(k => k.split('=').filter(Boolean))
-    .filter(Boolean),
+  labels: parseLabels(program.label),
   name: program.projectName,
   entrypoint: program.entrypoint || false,
   image: program.image || false,
@@ -67,5 +123,6 @@ deployNodeApp(env, action, {
         .filter(Boolean)
     : null,
   address: program.address || false,
+  healthCheckPath: program.healthPath,
   prompts: program.prompts
 })
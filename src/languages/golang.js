@@ -0,0 +1,84 @@
+const fs = require('fs')
+const util = require('util')
+const path = require('path')
+
+const readFile = util.promisify(fs.readFile)
+
+function readGoMod(options) {
+  try {
+    return fs.readFileSync(path.join(options.target, 'go.mod')).toString()
+  } catch (err) {}
+  return ''
+}
+
+module.exports = {
+  name: 'golang',
+  suggestedPorts: [8080],
+  suggestedEntrypoints: ['main.go', 'cmd/server/main.go', 'cmd/main.go'],
+
+  // The entrypoint is the package we build - the resulting binary is started by the Dockerfile's CMD
+  entrypoint: () => {
+    return null
+  },
+
+  detect: options => {
+    return fs.existsSync(path.join(options.target, 'go.mod'))
+  },
+
+  dockerfile: ({ entrypoint, ports = [], ...options }) => {
+    const goVersion = (readGoMod(options).match(/^go (\d+\.\d+)/m) || [])[1] || '1'
+    let pkg = entrypoint || '.'
+    if (pkg.endsWith('.go')) pkg = path.dirname(pkg)
+    if (!pkg.startsWith('.')) pkg = `./${pkg}`
+
+    return [
+      `FROM golang:${goVersion} AS builder\n`,
+      'WORKDIR /src',
+      'COPY go.mod go.su[m] ./',
+      'RUN go mod download',
+      'COPY . .',
+      `RUN CGO_ENABLED=0 GOOS=linux go build -trimpath -ldflags="-s -w" -o /app ${pkg}\n`,
+      '# The runtime image contains nothing but our static binary',
+      'FROM gcr.io/distroless/static:nonroot',
+      'COPY --from=builder /app /app',
+      'USER nonroot:nonroot',
+      ports.length ? `EXPOSE ${ports.join(' ')}` : '',
+      'CMD ["/app"]'
+    ].join('\n')
+  },
+
+  artifact: (env, image) => {
+    return {
+      image,
+      sync: {},
+      docker: { buildArgs: { ENV: env } }
+    }
+  },
+
+  matchModules: async function (modules, options) {
+    let goMod = ''
+    try {
+      goMod = (await readFile(path.join(options.target, 'go.mod'))).toString()
+    } catch (err) {}
+    // Requires are either single lines ("require github.com/lib/pq v1.8.0") or "require ( ... )" blocks
+    const dependencies = []
+    const requireRegex = /^\s*(?:require\s+)?([a-z0-9.-]+\.[a-z]+\/[^\s]+)\s+v[^\s]+/gim
+    let match
+    while ((match = requireRegex.exec(goMod))) dependencies.push(match[1])
+
+    const matchedModules = []
+    for (let i = 0; i < dependencies.length; i++) {
+      const dep = dependencies[i]
+      // Major versions are suffixed onto the module path, ie: "github.com/go-redis/redis/v8"
+      const mod = modules.find(mod => {
+        return (
+          mod.languages &&
+          mod.languages[this.name] &&
+          mod.languages[this.name].find(name => dep === name || dep.startsWith(`${name}/`))
+        )
+      })
+      if (mod && !matchedModules.includes(mod)) matchedModules.push(mod)
+    }
+    return matchedModules
+  }
+}
@@ -1,6 +1,19 @@
 const fs = require('fs')
 const path = require('path')
-const { prompt } = require('../util')
+const { prompt, confirmWriteFile, writeTextLine } = require('../util')
+const nodejs = require('./nodejs')
+
+// Serves a single page app - any path that isn't a file falls back to index.html so client-side routing works
+const spaNginxConfig = [
+  'server {',
+  '  listen 8080;',
+  '  root /usr/share/nginx/html;',
+  '  index index.html;\n',
+  '  location / {',
+  '    try_files $uri $uri/ /index.html;',
+  '  }',
+  '}'
+].join('\n')
 
 module.exports = {
   name: 'nginx',
@@ -16,11 +29,24 @@ module.exports = {
     let looksLikeFrontend = false
 
     // If there is a /public folder, they may just want to deploy that (completely static site, with no build pipeline?)
-    if (fs.existsSync('./public/index.html') || fs.existsSync('./public/index.htm')) {
+    if (
+      fs.existsSync(path.join(options.target, 'public/index.html')) ||
+      fs.existsSync(path.join(options.target, 'public/index.htm'))
+    ) {
+      looksLikeFrontend = true
+    }
+
+    // Frontend frameworks (create-react-app, Vue, Vite, etc) are built by node and then served by nginx
+    const framework = nodejs.frontendFramework(nodejs.readPackageJson(options))
+    if (framework) {
       looksLikeFrontend = true
+      await writeTextLine('.gitignore', 'node_modules', { ...options, append: true })
+      await writeTextLine('.dockerignore', 'node_modules', { ...options, append: true })
     }
 
+    // Whether to serve a framework's build with nginx was already asked by the nodejs language
     if (looksLikeFrontend) {
+      if (!options.prompts || framework) return true
       const { useNginx } = await prompt([
         {
           name: 'useNginx',
@@ -34,10 +60,33 @@ module.exports = {
     return false
   },
 
-  dockerfile: ({ entrypoint }) => {
+  dockerfile: async options => {
+    const { entrypoint } = options
+    const packageJson = nodejs.readPackageJson(options)
+    const framework = nodejs.frontendFramework(packageJson)
+    if (!framework) {
+      return [
+        'FROM nginxinc/nginx-unprivileged',
+        `COPY ${path.dirname(entrypoint)} /usr/share/nginx/html`
+      ].join('\n')
+    }
+
+    await confirmWriteFile('nginx.conf', spaNginxConfig + '\n', options)
+    const { install, run, manifests } = nodejs.packageManager(options)
     return [
-      'FROM nginxinc/nginx-unprivileged',
-      `COPY ${path.dirname(entrypoint)} /usr/share/nginx/html`
+      `FROM node:${nodejs.nodeVersion(options, packageJson)} AS builder\n`,
+      'WORKDIR /app',
+      'ARG ENV=production',
+      'ENV CI=true\n',
+      `COPY ${manifests.join(' ')} ./`,
+      `RUN ${install}`,
+      'COPY . .',
+      `RUN NODE_ENV=$ENV ${run} build\n`,
+      '# The runtime image only contains the built site',
+      'FROM nginxinc/nginx-unprivileged\n',
+      'COPY nginx.conf /etc/nginx/conf.d/default.conf',
+      `COPY --from=builder /app/${framework.output} /usr/share/nginx/html\n`,
+      'EXPOSE 8080'
     ].join('\n')
   }
 }
@@ -1,10 +1,130 @@
 const fs = require('fs')
 const util = require('util')
 const path = require('path')
-const { writeTextLine } = require('../util')
+const { prompt, writeTextLine, warn } = require('../util')
 
 const readFile = util.promisify(fs.readFile)
 
+// nvm allows LTS releases by codename, ie: "lts/fermium"
+const ltsCodenames = {
+  carbon: 8,
+  dubnium: 10,
+  erbium: 12,
+  fermium: 14,
+  gallium: 16,
+  hydrogen: 18,
+  iron: 20,
+  jod: 22
+}
+
+// Resolves a semver range or nvm alias (ie: "^14.15.0", ">=12 <15", "10 || 12", "lts/*") to a node image tag
+function resolveNodeTag(range) {
+  range = range.trim().toLowerCase()
+  const localMajor = parseInt(process.versions.node.split('.')[0], 10)
+  if (range.startsWith('lts/')) {
+    const codename = range.replace('lts/', '')
+    return ltsCodenames[codename] ? `${ltsCodenames[codename]}` : 'lts'
+  }
+  if (['node', 'stable', 'latest', 'current'].includes(range)) return 'current'
+  const majors = range
+    .split('||')
+    .map(part => {
+      const lower = part.match(/(>=?|\^|~|=|^|\s)\s*v?(\d+)/)
+      const upper = part.match(/<(=?)\s*v?(\d+)(\.\d+)?/)
+      // Prefer the newest major allowed by an upper bound, ie: "<15" -> 14, "<15.2" or "<=15" -> 15
+      if (upper) return parseInt(upper[2], 10) - (upper[1] || upper[3] ? 0 : 1)
+      if (!lower) return null
+      const major = parseInt(lower[2], 10)
+      // Open-ended ranges like ">=12" are satisfied by the local version if it's new enough
+      if (lower[1].startsWith('>') && localMajor >= major) return localMajor
+      return major
+    })
+    .filter(Boolean)
+  return majors.length > 0 ? `${Math.max(...majors)}` : null
+}
+
+// Determines which node image to use - .nvmrc and .node-version are more specific than "engines", so they win
+function nodeVersion(options, packageJson = {}) {
+  const sources = ['.nvmrc', '.node-version']
+  for (const file of sources) {
+    try {
+      const tag = resolveNodeTag(fs.readFileSync(path.join(options.target, file)).toString())
+      if (tag) return tag
+    } catch (err) {}
+  }
+  if (packageJson.engines && typeof packageJson.engines.node === 'string') {
+    const tag = resolveNodeTag(packageJson.engines.node)
+    if (tag) return tag
+  }
+  const localMajor = process.versions.node.split('.')[0]
+  warn(
+    `No node version found in .nvmrc, .node-version or "engines" in package.json - using your local version (${localMajor})`
+  )
+  return localMajor
+}
+
+function readPackageJson(options) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(options.target, 'package.json')))
+  } catch (err) {}
+  return {}
+}
+
+// Chooses between yarn and npm, installing strictly from whichever lockfile exists
+function packageManager(options) {
+  if (fs.existsSync(path.join(options.target, 'yarn.lock'))) {
+    return {
+      install: 'yarn install --frozen-lockfile',
+      prune: 'yarn install --frozen-lockfile --production --ignore-scripts --prefer-offline',
+      run: 'yarn',
+      manifests: ['package.json', 'yarn.lock', '.npmr[c]']
+    }
+  }
+  const npmLockfile = ['package-lock.json', 'npm-shrinkwrap.json'].find(f =>
+    fs.existsSync(path.join(options.target, f))
+  )
+  return {
+    install: npmLockfile ? 'npm ci' : 'npm install',
+    prune: 'npm prune --production',
+    run: 'npm run',
+    manifests: ['package.json', npmLockfile, '.npmr[c]'].filter(Boolean)
+  }
+}
+
+// Frontend frameworks which build to a directory of static files - these are served by nginx rather than node
+const frontendFrameworks = [
+  { dependency: 'react-scripts', output: 'build' },
+  { dependency: 'vite', output: 'dist' },
+  { dependency: '@vue/cli-service', output: 'dist' },
+  { dependency: 'gatsby', output: 'public' },
+  { dependency: '@angular/cli', output: packageJson => `dist/${packageJson.name}` },
+  // Next.js is only static when exported - otherwise it's a node server
+  {
+    dependency: 'next',
+    output: 'out',
+    test: packageJson => /next export/.test(packageJson.scripts.build)
+  }
+]
+
+// Returns the framework's name and build output directory, if this package.json is a buildable static frontend
+function frontendFramework(packageJson) {
+  if (!packageJson.scripts || !packageJson.scripts.build) return null
+  const deps = Object.assign({}, packageJson.dependencies, packageJson.devDependencies)
+  const framework = frontendFrameworks.find(
+    f => deps[f.dependency] && (!f.test || f.test(packageJson))
+  )
+  if (!framework) return null
+  const output =
+    typeof framework.output === 'function' ? framework.output(packageJson) : framework.output
+  return { name: framework.dependency, output }
+}
+
+// Entrypoints can be a file (ie: "index.js") or a command (ie: "npm start")
+function nodeCommand(entrypoint) {
+  if (!/^(npm|npx|yarn|node|nodemon)\b/.test(entrypoint)) entrypoint = 'node ' + entrypoint
+  return entrypoint.split(' ').filter(Boolean)
+}
+
 module.exports = {
   name: 'nodejs',
   suggestedPorts: [3000],
@@ -12,16 +132,30 @@ module.exports = {
   detect: async function (options) {
     const pkgPath = path.join(options.target, './package.json')
     let looksLikeNode = false
+    let framework = null
     if (fs.existsSync(pkgPath)) {
       try {
         const packageJson = JSON.parse(fs.readFileSync(pkgPath))
         if (packageJson) {
           if (packageJson.name && packageJson.version) looksLikeNode = true
-          if (packageJson.scripts && packageJson.scripts.start === 'react-scripts start')
-            this.suggestedPorts = [3000]
+          framework = frontendFramework(packageJson)
         }
       } catch {}
     }
+    // Static frontends are built with node, but served by the nginx language - unless a node server is wanted
+    if (framework) {
+      looksLikeNode = false
+      if (options.prompts) {
+        const { useNginx } = await prompt([
+          {
+            name: 'useNginx',
+            type: 'confirm',
+            message: `This project looks like a ${framework.name} site, would you like to build it and serve it with nginx?`
+          }
+        ])
+        looksLikeNode = !useNginx
+      }
+    }
     if (looksLikeNode) {
       await writeTextLine('.gitignore', 'node_modules', { ...options, append: true })
       await writeTextLine('.dockerignore', 'node_modules', { ...options, append: true })
@@ -29,31 +163,47 @@ module.exports = {
     return looksLikeNode
   },
 
-  entrypoint: entrypoint => {
-    if (!entrypoint.startsWith('npm') && !entrypoint.startsWith('node')) {
-      entrypoint = 'node ' + entrypoint
-    }
-    return entrypoint
+  // The Dockerfile's CMD starts the app, so the Deployment doesn't override it
+  entrypoint: () => {
+    return null
   },
 
-  dockerfile: () => {
+  // Shared with the nginx language, which builds static frontends with node
+  nodeVersion,
+  packageManager,
+  frontendFramework,
+  readPackageJson,
+
+  dockerfile: ({ entrypoint, ports = [], ...options }) => {
+    const packageJson = readPackageJson(options)
+    const nodeTag = nodeVersion(options, packageJson)
+    const { install, prune, run, manifests } = packageManager(options)
+    const hasBuildScript = packageJson.scripts && packageJson.scripts.build
+    const command = entrypoint ? nodeCommand(entrypoint) : []
+
     return [
-      `FROM node:${process.versions.node.split('.')[0]}\n`,
-      "# We'll install a few common requirements here - if you have no native modules, you can safely remove the following RUN command",
-      'RUN apt-get update && \\',
-      '  apt-get install -yqq nginx automake build-essential curl && \\',
-      '  rm -rf /var/lib/apt/lists/*\n',
-      'USER node',
-      'RUN mkdir /home/node/app',
-      'WORKDIR /home/node/app\n',
+      `FROM node:${nodeTag} AS builder\n`,
+      '# The full node image includes python, make and g++ for building native modules',
+      'WORKDIR /home/node/app',
       'ARG ENV=production',
-      'ENV NODE_ENV $ENV',
       'ENV CI=true\n',
-      'COPY --chown=node:node package.json yarn.loc[k] .npmr[c] ./',
-      'RUN yarn install',
-      'COPY --chown=node:node . .\n',
-      'CMD ["node"]'
-    ].join('\n')
+      `COPY ${manifests.join(' ')} ./`,
+      `RUN ${install}`,
+      'COPY . .',
+      hasBuildScript ? `RUN NODE_ENV=$ENV ${run} build` : null,
+      `RUN if [ "$ENV" = "production" ]; then ${prune}; fi\n`,
+      '# The runtime image only contains our app and its production dependencies',
+      `FROM node:${nodeTag}-slim\n`,
+      'USER node',
+      'WORKDIR /home/node/app',
+      'ARG ENV=production',
+      'ENV NODE_ENV $ENV\n',
+      'COPY --from=builder --chown=node:node /home/node/app ./\n',
+      ports.length ? `EXPOSE ${ports.join(' ')}` : null,
+      command.length ? `CMD [${command.map(c => `"${c}"`).join(', ')}]` : 'CMD ["node"]'
+    ]
+      .filter(line => line !== null)
+      .join('\n')
   },
 
   artifact: (env, image) => {
@@ -64,6 +214,17 @@ module.exports = {
     }
   },
 
+  // The versions of dependencies in package.json, ie: { pg: '7.18.2' } for "pg": "^7.18.2"
+  dependencyVersions: options => {
+    const dependencies = readPackageJson(options).dependencies || {}
+    const versions = {}
+    for (const dep in dependencies) {
+      const version = `${dependencies[dep]}`.match(/\d+(\.\d+)*/)
+      if (version) versions[dep] = version[0]
+    }
+    return versions
+  },
+
   matchModules: async function (modules, options) {
     let packageJson = {}
     try {
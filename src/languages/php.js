@@ -0,0 +1,127 @@
+const fs = require('fs')
+const util = require('util')
+const path = require('path')
+const { writeTextLine } = require('../util')
+
+const readFile = util.promisify(fs.readFile)
+
+// PHP extensions which need system packages or PECL to build - anything else is passed to docker-php-ext-install
+const extensions = {
+  gd: { packages: ['libpng-dev'] },
+  intl: { packages: ['libicu-dev'] },
+  pgsql: { packages: ['libpq-dev'] },
+  pdo_pgsql: { packages: ['libpq-dev'] },
+  zip: { packages: ['libzip-dev'] },
+  mongodb: { packages: ['libssl-dev'], pecl: true },
+  redis: { pecl: true }
+}
+
+// These are compiled into the official php images already
+const builtinExtensions = [
+  'ctype',
+  'curl',
+  'json',
+  'mbstring',
+  'openssl',
+  'pdo',
+  'pdo_sqlite',
+  'xml'
+]
+
+function readComposerJson(options) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(options.target, 'composer.json')))
+  } catch (err) {}
+  return {}
+}
+
+module.exports = {
+  name: 'php',
+  suggestedPorts: [8080],
+  suggestedEntrypoints: ['public/index.php', 'index.php'],
+
+  // Apache serves the project directly, there is no command to run
+  entrypoint: () => {
+    return null
+  },
+
+  detect: async options => {
+    const looksLikePHP = fs.existsSync(path.join(options.target, 'composer.json'))
+    if (looksLikePHP) {
+      await writeTextLine('.gitignore', 'vendor', { ...options, append: true })
+      await writeTextLine('.dockerignore', 'vendor', { ...options, append: true })
+    }
+    return looksLikePHP
+  },
+
+  dockerfile: options => {
+    const composerJson = readComposerJson(options)
+    const require = composerJson.require || {}
+    const phpVersion = ((require.php || '').match(/(\d+\.\d+)/) || [])[1] || '7.4'
+    const documentRoot = fs.existsSync(path.join(options.target, 'public'))
+      ? '/var/www/html/public'
+      : '/var/www/html'
+
+    const exts = Object.keys(require)
+      .filter(dep => dep.startsWith('ext-'))
+      .map(dep => dep.replace('ext-', '').toLowerCase())
+      .filter(ext => !builtinExtensions.includes(ext))
+    const packages = ['unzip']
+      .concat(...exts.map(ext => (extensions[ext] && extensions[ext].packages) || []))
+      .filter((v, i, s) => s.indexOf(v) === i)
+    const peclExts = exts.filter(ext => extensions[ext] && extensions[ext].pecl)
+    const coreExts = exts.filter(ext => !peclExts.includes(ext))
+    const pecl = peclExts.join(' ')
+
+    return [
+      'FROM composer:2 AS composer\n',
+      `FROM php:${phpVersion}-apache\n`,
+      'RUN apt-get update && \\',
+      `  apt-get install -yqq ${packages.join(' ')} && \\`,
+      coreExts.length ? `  docker-php-ext-install ${coreExts.join(' ')} && \\` : null,
+      peclExts.length ? `  pecl install ${pecl} && docker-php-ext-enable ${pecl} && \\` : null,
+      '  rm -rf /var/lib/apt/lists/*\n',
+      '# Listen on an unprivileged port and serve from the document root',
+      'RUN a2enmod rewrite && \\',
+      "  sed -ri 's/^Listen 80$/Listen 8080/' /etc/apache2/ports.conf && \\",
+      `  sed -ri 's/:80>/:8080>/; s!/var/www/html!${documentRoot}!g' /etc/apache2/sites-available/*.conf\n`,
+      'COPY --from=composer /usr/bin/composer /usr/bin/composer',
+      'WORKDIR /var/www/html\n',
+      'ARG ENV=production',
+      'ENV APP_ENV $ENV\n',
+      'COPY --chown=www-data:www-data composer.json composer.loc[k] ./',
+      'RUN composer install --no-dev --no-scripts --no-autoloader --prefer-dist --no-interaction',
+      'COPY --chown=www-data:www-data . .',
+      'RUN composer dump-autoload --optimize --no-dev\n',
+      'USER www-data',
+      'EXPOSE 8080'
+    ]
+      .filter(line => line !== null)
+      .join('\n')
+  },
+
+  artifact: (env, image) => {
+    return {
+      image,
+      sync: { manual: [{ src: '**/*.php', dest: '.' }] },
+      docker: { buildArgs: { ENV: env } }
+    }
+  },
+
+  matchModules: async function (modules, options) {
+    let composerJson = {}
+    try {
+      composerJson = JSON.parse(await readFile(path.join(options.target, 'composer.json')))
+    } catch (err) {}
+    const dependencies = Object.keys(composerJson.require || {})
+    const matchedModules = []
+    for (let i = 0; i < dependencies.length; i++) {
+      const dep = dependencies[i]
+      const mod = modules.find(mod => {
+        return mod.languages && mod.languages[this.name] && mod.languages[this.name].includes(dep)
+      })
+      if (mod) matchedModules.push(mod)
+    }
+    return matchedModules
+  }
+}
@@ -1,33 +1,238 @@
 const fs = require('fs')
-const util = require('util')
 const path = require('path')
+const { warn } = require('../util')
 
-const readFile = util.promisify(fs.readFile)
+function readProjectFile(options, file) {
+  try {
+    return fs.readFileSync(path.join(options.target, file)).toString()
+  } catch (err) {}
+  return ''
+}
+
+// Python versions with official images, newest first
+const pythonVersions = ['3.14', '3.13', '3.12', '3.11', '3.10', '3.9', '3.8', '3.7', '3.6']
+
+// "3.11" -> 311, so versions can be compared
+function versionNumber(major, minor) {
+  return parseInt(major, 10) * 100 + (minor && minor !== '*' ? parseInt(minor, 10) : 0)
+}
+
+// Checks a version (ie: "3.11") against one PEP 440 or Poetry clause, ie: ">=3.8", "<3.12", "~=3.9" or "^3.8"
+// Images are only tagged by minor version, so patch versions in clauses are mostly ignored
+function satisfiesClause(version, clause) {
+  const match = clause.match(/^(>=|<=|==|!=|~=|>|<|\^|~|=)?v?(\d+)(?:\.(\d+|\*))?(?:\.(\d+|\*))?/)
+  if (!match) return true
+  const [, operator = '==', major, minor, patch] = match
+  const v = versionNumber(...version.split('.'))
+  const bound = versionNumber(major, minor)
+  const sameMajor = Math.floor(v / 100) === Math.floor(bound / 100)
+  const hasMinor = minor !== undefined && minor !== '*'
+  const hasPatch = patch !== undefined && patch !== '*'
+  switch (operator) {
+    case '>=':
+      return v >= bound
+    case '>':
+      return hasPatch ? v >= bound : v > bound
+    case '<=':
+      return v <= bound
+    case '<':
+      return hasPatch ? v <= bound : v < bound
+    case '!=':
+      return hasPatch || v !== bound
+    case '~=':
+      return hasPatch ? v === bound : v >= bound && sameMajor
+    case '^':
+      return v >= bound && sameMajor
+    case '~':
+      return hasMinor ? v === bound : sameMajor
+    default:
+      return hasMinor ? v === bound : sameMajor
+  }
+}
+
+// Picks the newest python allowed by a constraint, ie: ">=3.8,<3.12" -> "3.11" - rather than its oldest
+function resolvePythonTag(constraint) {
+  const alternatives = constraint.split(/\|\|?/).map(alternative =>
+    alternative
+      .replace(/([<>=!~^]+)\s+/g, '$1')
+      .split(/[,\s]+/)
+      .filter(Boolean)
+  )
+  return (
+    pythonVersions.find(version =>
+      alternatives.some(clauses => clauses.every(clause => satisfiesClause(version, clause)))
+    ) || null
+  )
+}
+
+// Determines which python image to use from runtime.txt ("python-3.8.5"), .python-version ("3.8.5")
+// or pyproject.toml ('python = "^3.8"' for Poetry, or 'requires-python = ">=3.8"')
+function pythonVersion(options) {
+  const sources = [
+    ['runtime.txt', /python-(\d+\.\d+)/],
+    ['.python-version', /^\s*(\d+\.\d+)/]
+  ]
+  for (const [file, regex] of sources) {
+    const match = readProjectFile(options, file).match(regex)
+    if (match) return match[1]
+  }
+  const constraint = readProjectFile(options, 'pyproject.toml').match(
+    /^\s*(?:python|requires-python)\s*=\s*["']([^"']+)["']/m
+  )
+  const tag = constraint && resolvePythonTag(constraint[1])
+  if (tag) return tag
+  warn('No python version found in runtime.txt, .python-version or pyproject.toml - using python:3')
+  return '3'
+}
+
+// Returns the keys of the given [sections] of a TOML file, ie: the package names in a Pipfile
+function tomlSectionKeys(toml, sections) {
+  const keys = []
+  let section = null
+  toml.split('\n').forEach(line => {
+    const header = line.match(/^\s*\[([^\]]+)\]/)
+    if (header) section = header[1].trim()
+    else if (sections.includes(section)) {
+      const key = line.match(/^\s*["']?([A-Za-z0-9_.-]+)["']?\s*=/)
+      if (key) keys.push(key[1])
+    }
+  })
+  return keys
+}
+
+// Lists the (lowercased) package names this project depends on, from requirements.txt, Pipfile or pyproject.toml
+function readDependencies(options) {
+  const requirements = readProjectFile(options, 'requirements.txt')
+    .split('\n')
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-'))
+  const pipfile = tomlSectionKeys(readProjectFile(options, 'Pipfile'), ['packages'])
+  const pyproject = readProjectFile(options, 'pyproject.toml')
+  const poetry = tomlSectionKeys(pyproject, ['tool.poetry.dependencies']).filter(
+    dep => dep !== 'python'
+  )
+  // PEP 621 style: dependencies = ["fastapi>=0.60", "uvicorn"]
+  const pep621 = ((pyproject.match(/^dependencies\s*=\s*\[([^\]]*)\]/m) || [])[1] || '')
+    .split(',')
+    .map(dep => dep.replace(/["'\s]/g, ''))
+    .filter(Boolean)
+  return []
+    .concat(requirements, pipfile, poetry, pep621)
+    .map(dep => dep.split(/[=<>~![;@\s]/)[0].toLowerCase())
+    .filter((v, i, s) => v && s.indexOf(v) === i)
+}
+
+// Figures out how to install dependencies: Poetry, Pipenv or plain pip
+function installCommands(options) {
+  const pyproject = readProjectFile(options, 'pyproject.toml')
+  if (/^\[tool\.poetry\]/m.test(pyproject)) {
+    return [
+      'COPY pyproject.toml poetry.loc[k] ./',
+      'RUN pip install --no-cache-dir "poetry>=1.2" && \\',
+      '  poetry config virtualenvs.create false && \\',
+      '  poetry install --no-root --no-interaction --only main'
+    ]
+  } else if (fs.existsSync(path.join(options.target, 'Pipfile'))) {
+    const deploy = fs.existsSync(path.join(options.target, 'Pipfile.lock'))
+      ? '--deploy'
+      : '--skip-lock'
+    return [
+      'COPY Pipfile Pipfile.loc[k] ./',
+      `RUN pip install --no-cache-dir pipenv && pipenv install --system ${deploy}`
+    ]
+  } else if (fs.existsSync(path.join(options.target, 'requirements.txt'))) {
+    return ['COPY requirements.txt ./', 'RUN pip install --no-cache-dir -r requirements.txt']
+  }
+  return []
+}
+
+// "app/main.py" -> "app.main", for use with gunicorn and uvicorn
+function pythonModule(entrypoint = '', fallback = 'app') {
+  if (!entrypoint.endsWith('.py')) return fallback
+  return entrypoint.replace(/^\.\//, '').replace(/\.py$/, '').replace(/\//g, '.')
+}
+
+// Django projects name their WSGI module in manage.py, ie: "mysite.settings" -> "mysite.wsgi"
+function djangoWsgiModule(options) {
+  const settings = readProjectFile(options, 'manage.py').match(
+    /DJANGO_SETTINGS_MODULE['"]\s*,\s*['"]([A-Za-z0-9_.]+)\.settings/
+  )
+  return `${settings ? settings[1] : path.basename(path.resolve(options.target))}.wsgi`
+}
+
+// Returns the framework-appropriate server command, and which server package it needs
+function serverCommand(entrypoint, port, dependencies, options) {
+  const bind = `0.0.0.0:${port}`
+  if (dependencies.includes('django')) {
+    return {
+      server: 'gunicorn',
+      command: ['gunicorn', '--bind', bind, `${djangoWsgiModule(options)}:application`]
+    }
+  } else if (dependencies.includes('fastapi')) {
+    return {
+      server: 'uvicorn',
+      command: [
+        'uvicorn',
+        `${pythonModule(entrypoint, 'main')}:app`,
+        '--host',
+        '0.0.0.0',
+        '--port',
+        `${port}`
+      ]
+    }
+  } else if (dependencies.includes('flask')) {
+    return {
+      server: 'gunicorn',
+      command: ['gunicorn', '--bind', bind, `${pythonModule(entrypoint)}:app`]
+    }
+  }
+  let command = (entrypoint || '').split(' ').filter(Boolean)
+  if (entrypoint && fs.existsSync(path.join(options.target, entrypoint)))
+    command = ['python', entrypoint]
+  return { command }
+}
 
 module.exports = {
   name: 'python',
+  suggestedPorts: [8000],
+  suggestedEntrypoints: [
+    'manage.py',
+    'main.py',
+    'app.py',
+    'server.py',
+    'app/main.py',
+    'src/main.py'
+  ],
+
+  // The Dockerfile's CMD starts the app (via gunicorn or uvicorn for known frameworks)
+  entrypoint: () => {
+    return null
+  },
 
   detect: options => {
-    return fs.existsSync(path.join(options.target, 'requirements.txt'))
+    return ['requirements.txt', 'Pipfile', 'pyproject.toml'].some(f =>
+      fs.existsSync(path.join(options.target, f))
+    )
   },
 
-  dockerfile: ({ entrypoint, ports }) => {
-    if (fs.existsSync(entrypoint)) entrypoint = 'python ' + entrypoint
+  dockerfile: ({ entrypoint, ports = [], ...options }) => {
+    const port = ports[0] || 8000
+    const dependencies = readDependencies(options)
+    const { server, command } = serverCommand(entrypoint, port, dependencies, options)
     return [
-      'FROM python:3',
+      `FROM python:${pythonVersion(options)}`,
       'WORKDIR /app',
       'ARG ENV=production',
+      'ENV PYTHONUNBUFFERED=1',
       'RUN apt-get update && apt-get install -yqq inotify-tools',
-      'COPY requirements.txt ./',
-      'RUN pip install --no-cache-dir -r requirements.txt',
+      ...installCommands(options),
+      server && !dependencies.includes(server) ? `RUN pip install --no-cache-dir ${server}` : null,
       'COPY . .',
-      entrypoint
-        ? `CMD [${entrypoint
-            .split(' ')
-            .map(e => `"${e}"`)
-            .join(', ')}]`
-        : ''
-    ].join('\n')
+      `EXPOSE ${port}`,
+      command.length ? `CMD [${command.map(e => `"${e}"`).join(', ')}]` : ''
+    ]
+      .filter(line => line !== null)
+      .join('\n')
   },
 
   artifact: (env, image) => {
@@ -38,21 +243,27 @@ module.exports = {
     }
   },
 
+  // The versions of dependencies pinned in requirements.txt, ie: { pymongo: '3.11.0' } for "pymongo==3.11.0"
+  dependencyVersions: options => {
+    const versions = {}
+    readProjectFile(options, 'requirements.txt')
+      .split('\n')
+      .forEach(line => {
+        const match = line.match(/^\s*([A-Za-z0-9_.-]+)\s*(?:==|>=|~=|===)\s*(\d+(\.\d+)*)/)
+        if (match) versions[match[1].toLowerCase()] = match[2]
+      })
+    return versions
+  },
+
   matchModules: async function (modules, options) {
     const matchedModules = []
-    let requirementsFile = ''
-    try {
-      requirementsFile = (
-        await readFile(path.join(options.target, './requirements.txt'))
-      ).toString()
-    } catch (err) {}
-    const dependencies = requirementsFile.split('\n')
+    const dependencies = readDependencies(options)
     for (let i = 0; i < dependencies.length; i++) {
-      const dep = dependencies[i].split(' ')[0]
+      const dep = dependencies[i]
       const mod = modules.find(mod => {
         return mod.languages && mod.languages[this.name] && mod.languages[this.name].includes(dep)
       })
-      if (mod) matchedModules.push(mod)
+      if (mod && !matchedModules.includes(mod)) matchedModules.push(mod)
     }
     return matchedModules
   }
@@ -1,12 +1,110 @@
 const fs = require('fs')
+const util = require('util')
 const path = require('path')
 
+const readFile = util.promisify(fs.readFile)
+
+function readGemfile(options) {
+  try {
+    return fs.readFileSync(path.join(options.target, 'Gemfile')).toString()
+  } catch (err) {}
+  return ''
+}
+
+// Prefers .ruby-version, then the "ruby" directive in the Gemfile - returns a major.minor image tag
+function rubyVersion(options) {
+  let version = ''
+  try {
+    version = fs.readFileSync(path.join(options.target, '.ruby-version')).toString()
+  } catch (err) {
+    const fromGemfile = readGemfile(options).match(/^\s*ruby ['"]([^'"]+)['"]/m)
+    if (fromGemfile) version = fromGemfile[1]
+  }
+  const majorMinor = version.match(/(\d+\.\d+)/)
+  return majorMinor ? majorMinor[1] : '2.7'
+}
+
 module.exports = {
   name: 'ruby',
+  suggestedPorts: [3000],
+  suggestedEntrypoints: ['config.ru', 'app.rb', 'index.rb', 'app/index.rb'],
 
-  dockerfile: ({ entrypoint }) => 'FROM nginx\n\nCOPY . /usr/share/html/',
+  // The Dockerfile's CMD always starts the app, so the Deployment doesn't override it
+  entrypoint: () => {
+    return null
+  },
 
   detect: options => {
     return fs.existsSync(path.join(options.target, 'Gemfile'))
+  },
+
+  dockerfile: ({ entrypoint, ports = [], ...options }) => {
+    const port = ports[0] || 3000
+    const isRails =
+      /^\s*gem ['"]rails['"]/m.test(readGemfile(options)) ||
+      fs.existsSync(path.join(options.target, 'config', 'application.rb'))
+    const isRack =
+      entrypoint === 'config.ru' ||
+      (!(entrypoint || '').endsWith('.rb') && fs.existsSync(path.join(options.target, 'config.ru')))
+
+    let command = (entrypoint || '').split(' ').filter(Boolean)
+    if (isRails) command = ['bundle', 'exec', 'rails', 'server', '-b', '0.0.0.0', '-p', `${port}`]
+    else if (isRack) command = ['bundle', 'exec', 'rackup', '--host', '0.0.0.0', '-p', `${port}`]
+    else if (entrypoint && entrypoint.endsWith('.rb'))
+      command = ['bundle', 'exec', 'ruby', entrypoint]
+
+    return [
+      `FROM ruby:${rubyVersion(options)}\n`,
+      'WORKDIR /app\n',
+      'ARG ENV=production',
+      'ENV RACK_ENV $ENV',
+      'ENV RAILS_ENV $ENV',
+      `ENV PORT ${port}\n`,
+      'COPY Gemfile Gemfile.loc[k] ./',
+      'RUN if [ "$ENV" = "production" ]; then bundle config set --local without "development test"; fi && \\',
+      '  bundle install --jobs 4',
+      'COPY . .\n',
+      `EXPOSE ${port}`,
+      command.length ? `CMD [${command.map(c => `"${c}"`).join(', ')}]` : ''
+    ].join('\n')
+  },
+
+  artifact: (env, image) => {
+    return {
+      image,
+      sync: { manual: [{ src: '**/*.rb', dest: '.' }] },
+      docker: { buildArgs: { ENV: env } }
+    }
+  },
+
+  matchModules: async function (modules, options) {
+    const dependencies = []
+    let gemfile = ''
+    let gemfileLock = ''
+    try {
+      gemfile = (await readFile(path.join(options.target, 'Gemfile'))).toString()
+    } catch (err) {}
+    try {
+      gemfileLock = (await readFile(path.join(options.target, 'Gemfile.lock'))).toString()
+    } catch (err) {}
+    // Gemfile lines look like "gem 'redis', '< 4'", while Gemfile.lock indents gems by four spaces: "    redis (3.3.5)"
+    const gemRegexes = [
+      [gemfile, /^\s*gem ['"]([^'"]+)['"]/gm],
+      [gemfileLock, /^ {4}([^\s(]+) \(/gm]
+    ]
+    for (const [contents, regex] of gemRegexes) {
+      let match
+      while ((match = regex.exec(contents))) dependencies.push(match[1])
+    }
+
+    const matchedModules = []
+    for (let i = 0; i < dependencies.length; i++) {
+      const dep = dependencies[i]
+      const mod = modules.find(mod => {
+        return mod.languages && mod.languages[this.name] && mod.languages[this.name].includes(dep)
+      })
+      if (mod && !matchedModules.includes(mod)) matchedModules.push(mod)
+    }
+    return matchedModules
   }
 }
@@ -0,0 +1,40 @@
+// eslint-disable-next-line security/detect-child-process
+const { spawn } = require('child_process')
+const readline = require('readline')
+const chalk = require('chalk')
+const { ensureKubectl } = require('./util')
+
+const podColors = ['cyan', 'magenta', 'green', 'yellow', 'blue', 'red']
+
+// The same pod always gets the same color, so interleaved logs are easy to follow
+function podColor(pod) {
+  let hash = 0
+  for (let i = 0; i < pod.length; i++) hash = (hash * 31 + pod.charCodeAt(i)) >>> 0
+  return chalk[podColors[hash % podColors.length]]
+}
+
+// Tails the logs of every pod of the given apps and modules, using the "app" label set by writeDeployment
+function logs(names, options) {
+  ensureKubectl('show logs')
+  const args = ['logs', '-l', `app in (${names.join(',')})`, '--all-containers', '--prefix']
+  args.push(`--max-log-requests=${Math.max(5, names.length * 2)}`)
+  // kubectl only shows the last 10 lines per pod when using a selector, unless told otherwise
+  if (options.since) args.push(`--since=${options.since}`, '--tail=-1')
+  if (options.follow) args.push('--follow')
+
+  return new Promise(resolve => {
+    const child = spawn('kubectl', args, { stdio: ['ignore', 'pipe', 'inherit'] })
+    readline.createInterface({ input: child.stdout }).on('line', line => {
+      // Lines are prefixed like "[pod/nodejs-app-7d9f8-abcde/nodejs-app] Listening on port 3000"
+      const match = line.match(/^\[pod\/([^/\]]+)\/[^\]]+\] ?(.*)$/)
+      if (match) process.stdout.write(`${podColor(match[1])(match[1])} ${match[2]}\n`)
+      else process.stdout.write(`${line}\n`)
+    })
+    child.on('close', code => {
+      process.exitCode = code
+      resolve()
+    })
+  })
+}
+
+module.exports = { logs }
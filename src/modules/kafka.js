@@ -0,0 +1,35 @@
+// A single Kafka broker running in KRaft mode (acting as its own controller), so no Zookeeper is needed
+module.exports = {
+  name: 'kafka',
+  image: 'bitnami/kafka',
+  version: '3.6',
+  languages: {
+    nodejs: ['kafkajs', 'node-rdkafka', 'kafka-node'],
+    python: ['kafka-python', 'confluent-kafka', 'aiokafka'],
+    php: ['ext-rdkafka'],
+    ruby: ['ruby-kafka', 'rdkafka'],
+    golang: [
+      'github.com/segmentio/kafka-go',
+      'github.com/Shopify/sarama',
+      'github.com/confluentinc/confluent-kafka-go'
+    ]
+  },
+  ports: [9092],
+  resources: {
+    requests: { cpu: '100m', memory: '512Mi' },
+    limits: { cpu: '1000m', memory: '1Gi' }
+  },
+  appEnvs: {
+    default: { KAFKA_BROKERS: 'kafka:9092' },
+    python: { KAFKA_BOOTSTRAP_SERVERS: 'kafka:9092' }
+  },
+  envs: {
+    KAFKA_CFG_NODE_ID: 0,
+    KAFKA_CFG_PROCESS_ROLES: 'controller,broker',
+    KAFKA_CFG_LISTENERS: 'PLAINTEXT://:9092,CONTROLLER://:9093',
+    KAFKA_CFG_ADVERTISED_LISTENERS: 'PLAINTEXT://kafka:9092',
+    KAFKA_CFG_LISTENER_SECURITY_PROTOCOL_MAP: 'CONTROLLER:PLAINTEXT,PLAINTEXT:PLAINTEXT',
+    KAFKA_CFG_CONTROLLER_LISTENER_NAMES: 'CONTROLLER',
+    KAFKA_CFG_CONTROLLER_QUORUM_VOTERS: '0@localhost:9093'
+  }
+}
@@ -0,0 +1,17 @@
+module.exports = {
+  name: 'memcached',
+  image: 'memcached',
+  version: '1.6',
+  languages: {
+    nodejs: ['memjs', 'memcached'],
+    python: ['pymemcache', 'python-memcached', 'pylibmc'],
+    php: ['ext-memcached'],
+    ruby: ['dalli'],
+    golang: ['github.com/bradfitz/gomemcache']
+  },
+  ports: [11211],
+  appEnvs: {
+    default: { MEMCACHE_SERVERS: 'memcached:11211' },
+    php: { MEMCACHED_HOST: 'memcached', MEMCACHED_PORT: 11211 }
+  }
+}
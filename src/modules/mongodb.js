@@ -1,15 +1,48 @@
 const { promptUserForValue, generateRandomStr } = require('../util')
 
+const enc = encodeURIComponent
+// Newer images only ship "mongosh", older ones only "mongo"
+const mongoClient = 'if command -v mongosh >/dev/null; then c=mongosh; else c=mongo; fi; "$c"'
+
 module.exports = {
   name: 'mongodb',
-  image: 'mongo:latest',
+  image: 'mongo',
+  version: '7.0',
   languages: {
     nodejs: ['mongodb', 'mongoose'],
     python: ['pymongo'],
-    php: ['mongodb'],
-    ruby: ['mongo']
+    php: ['ext-mongodb', 'mongodb/mongodb'],
+    ruby: ['mongo'],
+    golang: ['go.mongodb.org/mongo-driver']
+  },
+  // The oldest drivers MongoDB supports for each server version
+  driverRequirements: {
+    '6.0': { nodejs: { mongodb: '4.8.0' }, python: { pymongo: '4.2.0' } }
   },
   ports: [27017],
+  storage: { path: '/data/db' },
+  healthCheck: ['sh', '-c', `${mongoClient} --quiet --eval "db.adminCommand('ping')"`],
+  shell: [
+    'sh',
+    '-c',
+    `${mongoClient} -u "$MONGO_INITDB_ROOT_USERNAME" -p "$MONGO_INITDB_ROOT_PASSWORD" --authenticationDatabase admin "$MONGO_INITDB_DATABASE"`
+  ],
+  rotate: {
+    envs: ['MONGO_INITDB_ROOT_PASSWORD'],
+    command: e => [
+      'sh',
+      '-c',
+      `eval="db.changeUserPassword('$MONGO_INITDB_ROOT_USERNAME', '${e.MONGO_INITDB_ROOT_PASSWORD}')"; ` +
+        `${mongoClient} -u "$MONGO_INITDB_ROOT_USERNAME" -p "$MONGO_INITDB_ROOT_PASSWORD" --authenticationDatabase admin admin --quiet --eval "$eval"`
+    ]
+  },
+  appEnvs: {
+    default: {
+      MONGODB_URI: e =>
+        `mongodb://${enc(e.MONGO_INITDB_ROOT_USERNAME)}:${enc(e.MONGO_INITDB_ROOT_PASSWORD)}` +
+        `@mongodb:27017/${enc(e.MONGO_INITDB_DATABASE)}?authSource=admin`
+    }
+  },
   envs: {
     MONGO_INITDB_ROOT_USERNAME: promptUserForValue('MONGO_INITDB_ROOT_USERNAME', {
       defaultToProjectName: true
@@ -1,15 +1,54 @@
 const { generateRandomStr, promptUserForValue } = require('../util')
 
+const enc = encodeURIComponent
+
 module.exports = {
   name: 'postgres',
-  image: 'postgres:latest',
+  image: 'postgres',
+  version: '16',
   languages: {
     nodejs: ['pg'],
-    python: ['psycopg2'],
-    php: ['pdo-pgsql'], // Note that practically all PHP installations will have PDO installed!
-    ruby: ['pg']
+    python: ['psycopg2', 'psycopg2-binary', 'asyncpg'],
+    php: ['ext-pdo_pgsql', 'ext-pgsql'], // Note that practically all PHP installations will have PDO installed!
+    ruby: ['pg'],
+    golang: ['github.com/lib/pq', 'github.com/jackc/pgx']
+  },
+  // Postgres 14 hashes passwords with scram-sha-256 by default, which older drivers can't authenticate with
+  driverRequirements: {
+    14: { nodejs: { pg: '8.0.3' } }
   },
   ports: [5432],
+  // Postgres won't initialize a volume's root directory if it isn't empty (ie: "lost+found")
+  storage: { path: '/var/lib/postgresql/data', subPath: 'pgdata' },
+  healthCheck: ['sh', '-c', 'pg_isready -U "$POSTGRES_USER" -d "$POSTGRES_DB"'],
+  // The "shell" action opens a database client, logged in with this module's secrets
+  shell: ['sh', '-c', 'psql -U "$POSTGRES_USER" "$POSTGRES_DB"'],
+  // The "rotate" action changes these, running "command" in the module's pod (which still has the old values)
+  // with the new values - the database only reads its envs when it's first initialized
+  rotate: {
+    envs: ['POSTGRES_PASSWORD'],
+    command: e => [
+      'sh',
+      '-c',
+      `psql -U "$POSTGRES_USER" "$POSTGRES_DB" -c "ALTER USER \\"$POSTGRES_USER\\" WITH PASSWORD '${e.POSTGRES_PASSWORD}'"`
+    ]
+  },
+  appEnvs: {
+    default: {
+      DATABASE_URL: e =>
+        `postgres://${enc(e.POSTGRES_USER)}:${enc(e.POSTGRES_PASSWORD)}` +
+        `@postgres:${e.POSTGRES_PORT}/${enc(e.POSTGRES_DB)}`
+    },
+    // PHP frameworks (ie: Laravel) read separate DB_* variables
+    php: {
+      DB_CONNECTION: 'pgsql',
+      DB_HOST: 'postgres',
+      DB_PORT: e => e.POSTGRES_PORT,
+      DB_DATABASE: e => e.POSTGRES_DB,
+      DB_USERNAME: e => e.POSTGRES_USER,
+      DB_PASSWORD: e => e.POSTGRES_PASSWORD
+    }
+  },
   envs: {
     POSTGRES_USER: generateRandomStr(5),
     POSTGRES_DB: promptUserForValue('POSTGRES_DB', { defaultToProjectName: true }),
@@ -1,11 +1,21 @@
 module.exports = {
   name: 'redis',
-  image: 'redis:latest',
+  image: 'redis',
+  version: '7',
   languages: {
     nodejs: ['redis', 'ioredis'],
     python: ['redis'],
-    php: ['phpredis'],
-    ruby: ['redis']
+    php: ['ext-redis', 'predis/predis'],
+    ruby: ['redis'],
+    golang: ['github.com/go-redis/redis', 'github.com/gomodule/redigo']
   },
-  ports: [6379]
+  ports: [6379],
+  appEnvs: {
+    default: { REDIS_URL: 'redis://redis:6379' },
+    php: { REDIS_HOST: 'redis', REDIS_PORT: 6379 }
+  },
+  // Redis is usually a cache - enable storage per env in .dna.json to persist data with an append-only file
+  storage: { path: '/data', optional: true, args: ['--appendonly', 'yes'] },
+  healthCheck: ['redis-cli', 'ping'],
+  shell: ['redis-cli']
 }
@@ -0,0 +1,151 @@
+const fs = require('fs')
+const path = require('path')
+const { fatal, debug } = require('./util')
+
+// Any dependency named like this is loaded as a plugin, ie: "dna-plugin-kafka" or "@company/dna-plugin-stack"
+const pluginPackageRegex = /^(@[^/]+\/)?dna-plugin-/
+
+const isFunction = v => typeof v === 'function'
+const isString = v => typeof v === 'string'
+const isName = v => isString(v) && /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(v)
+const isStringArray = v => Array.isArray(v) && v.every(isString)
+const isPortArray = v => Array.isArray(v) && v.every(p => Number.isInteger(p) && p > 0 && p < 65536)
+
+// Plugins follow the same shape as the files in ./languages and ./modules
+const schemas = {
+  language: {
+    name: [true, isName, 'a DNS-safe string'],
+    detect: [true, isFunction, 'a function'],
+    dockerfile: [true, isFunction, 'a function'],
+    artifact: [false, isFunction, 'a function'],
+    entrypoint: [false, isFunction, 'a function'],
+    matchModules: [false, isFunction, 'a function'],
+    dependencyVersions: [false, isFunction, 'a function'],
+    suggestedPorts: [false, isPortArray, 'an array of port numbers'],
+    suggestedEntrypoints: [false, isStringArray, 'an array of strings']
+  },
+  module: {
+    name: [true, isName, 'a DNS-safe string'],
+    image: [true, isString, 'a string'],
+    version: [false, isString, 'a string'],
+    languages: [
+      true,
+      v => v && typeof v === 'object' && Object.values(v).every(isStringArray),
+      'an object of language names to arrays of package names'
+    ],
+    kind: [false, isString, 'a string'],
+    driverRequirements: [
+      false,
+      v => v && typeof v === 'object' && Object.values(v).every(l => l && typeof l === 'object'),
+      'an object of server versions to { language: { package: minimumVersion or { minimum, message } } }'
+    ],
+    appEnvs: [
+      false,
+      v => v && typeof v === 'object' && Object.values(v).every(e => e && typeof e === 'object'),
+      'an object of language names (or "default") to objects of environment variables'
+    ],
+    healthCheck: [false, isStringArray, 'an array of strings (a command)'],
+    shell: [false, isStringArray, 'an array of strings (a command)'],
+    rotate: [
+      false,
+      v => v && isStringArray(v.envs) && isFunction(v.command),
+      'an object with the "envs" to rotate and a "command" function applying them'
+    ],
+    storage: [
+      false,
+      v => v && isString(v.path) && (v.args === undefined || isStringArray(v.args)),
+      'an object with a "path" to persist'
+    ],
+    resources: [
+      false,
+      v => v && typeof v === 'object' && (v.requests || v.limits),
+      'an object of Kubernetes resource "requests" and "limits"'
+    ],
+    ports: [false, isPortArray, 'an array of port numbers'],
+    securityContext: [
+      false,
+      v => v && typeof v === 'object',
+      'an object (the Kubernetes securityContext of its pod)'
+    ],
+    settings: [
+      false,
+      v =>
+        v &&
+        typeof v === 'object' &&
+        Object.values(v).every(s => ['string', 'number'].includes(typeof s)),
+      'an object of strings or numbers'
+    ],
+    envs: [
+      false,
+      v =>
+        v &&
+        typeof v === 'object' &&
+        Object.values(v).every(e => ['string', 'number', 'function'].includes(typeof e)),
+      'an object of strings, numbers or functions'
+    ]
+  }
+}
+
+function validate(plugin, type, obj) {
+  if (!obj || typeof obj !== 'object')
+    return fatal(`Plugin "${plugin}" exports an invalid ${type}!`)
+  const schema = schemas[type]
+  for (const field in schema) {
+    const [required, test, expected] = schema[field]
+    if (obj[field] === undefined && !required) continue
+    if (!test(obj[field])) {
+      const name = isString(obj.name) ? ` "${obj.name}"` : ''
+      return fatal(`Plugin "${plugin}": ${type}${name} field "${field}" must be ${expected}!`)
+    }
+  }
+  return obj
+}
+
+// Finds plugins listed in .dna.json's "plugins" array, as well as "dna-plugin-*" packages the project depends on
+function findPlugins(config, options) {
+  const plugins = [].concat(config.plugins || [])
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(options.target, 'package.json')))
+    const deps = Object.assign({}, packageJson.dependencies, packageJson.devDependencies)
+    for (const dep in deps) {
+      if (pluginPackageRegex.test(dep) && !plugins.includes(dep)) plugins.push(dep)
+    }
+  } catch (err) {}
+  return plugins
+}
+
+// Loads all plugins for a project - a plugin can export a language, a module, or { languages: [], modules: [] }
+function loadPlugins(config, options) {
+  const languages = []
+  const modules = []
+  findPlugins(config, options).forEach(plugin => {
+    if (!isString(plugin))
+      return fatal(`Invalid plugin "${plugin}" in .dna.json, plugins must be strings!`)
+    // Paths are relative to the project, anything else is a package installed in the project
+    const request =
+      plugin.startsWith('.') || path.isAbsolute(plugin)
+        ? path.resolve(options.target, plugin)
+        : plugin
+    let exported
+    try {
+      // eslint-disable-next-line security/detect-non-literal-require
+      exported = require(require.resolve(request, { paths: [path.resolve(options.target)] }))
+    } catch (err) {
+      return fatal(`Unable to load plugin "${plugin}": ${err.message}`)
+    }
+    debug(`Loaded plugin "${plugin}"`)
+    if (exported && (Array.isArray(exported.languages) || Array.isArray(exported.modules))) {
+      for (const language of exported.languages || []) {
+        languages.push(validate(plugin, 'language', language))
+      }
+      for (const mod of exported.modules || []) modules.push(validate(plugin, 'module', mod))
+    } else if (exported && exported.image) {
+      modules.push(validate(plugin, 'module', exported))
+    } else {
+      languages.push(validate(plugin, 'language', exported))
+    }
+  })
+  return { languages, modules }
+}
+
+module.exports = { loadPlugins }
@@ -0,0 +1,56 @@
+const fs = require('fs')
+const path = require('path')
+const { fatal, log, execSyncWithEnv } = require('./util')
+const { quote } = require('./shell')
+const { parseEnvFile } = require('./secrets')
+
+// Generates new credentials for a module, changes them in its running pod and saves them to the env's secrets -
+// "init" then rewrites everything made from them (ie: DATABASE_URL), so apps get them when deployed
+async function rotateCredentials(env, mod, options) {
+  const secretsPath = path.join(
+    options.target,
+    'k8s',
+    'overlays',
+    env,
+    'secrets',
+    `${mod.name}.env`
+  )
+  if (!fs.existsSync(secretsPath)) {
+    return fatal(
+      `No secrets for "${mod.name}" in "${env}" - try "deploy-node-app ${env} init" first!`
+    )
+  }
+  const values = parseEnvFile(fs.readFileSync(secretsPath).toString())
+  const rotated = {}
+  for (const key of mod.rotate.envs) {
+    // New values can be given like any secret (with --secret or the environment), as "init" would use them anyway
+    const given = (options.secretValues || {})[key] || process.env[key]
+    if (given) {
+      rotated[key] = given
+      continue
+    }
+    if (typeof mod.envs[key] !== 'function') {
+      return fatal(`${mod.name} can't generate a new ${key}!`)
+    }
+    rotated[key] = await mod.envs[key](undefined, options)
+  }
+  log(`Changing ${mod.rotate.envs.join(', ')} of ${mod.name} in "${env}"`)
+  const command = mod.rotate.command(Object.assign({}, values, rotated))
+  try {
+    execSyncWithEnv(`kubectl exec deployment/${mod.name} -- ${command.map(quote).join(' ')}`, {
+      catchErr: false,
+      stdio: 'inherit'
+    })
+  } catch (err) {
+    return fatal(`Unable to change the credentials of ${mod.name} - is it running?`)
+  }
+  Object.assign(values, rotated)
+  fs.writeFileSync(
+    secretsPath,
+    Object.keys(values)
+      .map(key => `${key}=${values[key]}`)
+      .join('\n') + '\n'
+  )
+}
+
+module.exports = { rotateCredentials }
@@ -0,0 +1,347 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const yaml = require('js-yaml')
+const { fatal, log, prompt, execSyncWithEnv } = require('./util')
+
+// Encrypted secrets are committed next to the plain .env files kustomize reads, which stay ignored by git
+// The key is derived from a passphrase with scrypt, so no other tools are needed and it works offline
+const ENCRYPTED_EXTENSION = '.enc'
+const ENCRYPTED_HEADER = 'dna-encrypted:v1'
+
+const secretsDir = (env, options) => path.join(options.target, 'k8s', 'overlays', env, 'secrets')
+
+function encrypt(plaintext, passphrase) {
+  const salt = crypto.randomBytes(16)
+  const iv = crypto.randomBytes(12)
+  const key = crypto.scryptSync(passphrase, salt, 32)
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+  return (
+    [ENCRYPTED_HEADER, salt, iv, cipher.getAuthTag(), ciphertext]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join(':') + '\n'
+  )
+}
+
+function decrypt(encrypted, passphrase, file) {
+  const parts = encrypted.trim().split(':')
+  if (`${parts[0]}:${parts[1]}` !== ENCRYPTED_HEADER || parts.length !== 6) {
+    return fatal(`"${file}" is not an encrypted secrets file!`)
+  }
+  const [salt, iv, tag, ciphertext] = parts.slice(2).map(part => Buffer.from(part, 'base64'))
+  try {
+    const key = crypto.scryptSync(passphrase, salt, 32)
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv)
+    decipher.setAuthTag(tag)
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8')
+  } catch (err) {
+    return fatal(`Unable to decrypt "${file}" - is the passphrase correct?`)
+  }
+}
+
+// The passphrase comes from the environment (ie: in CI), or is asked for
+async function getPassphrase(options, envVar = 'DNA_SECRETS_PASSPHRASE', message) {
+  if (process.env[envVar]) return process.env[envVar]
+  if (!options.prompts) {
+    return fatal(`Secrets are encrypted - please set ${envVar} to their passphrase!`)
+  }
+  const { passphrase } = await prompt([
+    {
+      name: 'passphrase',
+      type: 'password',
+      message: message || 'What is the passphrase for your encrypted secrets?',
+      validate: input => (input ? true : 'A passphrase is required!')
+    }
+  ])
+  return passphrase
+}
+
+const isEncryptionEnabled = (config, env) =>
+  !!(config.overlays && config.overlays[env] && (config.overlays[env].secrets || {}).encrypted)
+
+function listSecretFiles(env, options, extension) {
+  const dir = secretsDir(env, options)
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir).filter(file => file.endsWith(extension))
+}
+
+// Writes the plain .env files kustomize needs from their encrypted copies, which are the source of truth
+async function decryptSecrets(env, options) {
+  const files = listSecretFiles(env, options, `.env${ENCRYPTED_EXTENSION}`)
+  if (files.length === 0) return
+  const passphrase = await getPassphrase(options)
+  files.forEach(file => {
+    const encryptedPath = path.join(secretsDir(env, options), file)
+    const plaintext = decrypt(fs.readFileSync(encryptedPath).toString(), passphrase, encryptedPath)
+    fs.writeFileSync(encryptedPath.slice(0, -4), plaintext)
+  })
+}
+
+// Encrypts every .env file whose contents differ from its encrypted copy, so unchanged secrets don't churn in git
+async function encryptSecrets(env, options, passphrase) {
+  const files = listSecretFiles(env, options, '.env')
+  if (files.length === 0) return
+  if (!passphrase) passphrase = await getPassphrase(options)
+  files.forEach(file => {
+    const plainPath = path.join(secretsDir(env, options), file)
+    const encryptedPath = plainPath + ENCRYPTED_EXTENSION
+    const plaintext = fs.readFileSync(plainPath).toString()
+    if (fs.existsSync(encryptedPath)) {
+      const existing = decrypt(fs.readFileSync(encryptedPath).toString(), passphrase, encryptedPath)
+      if (existing === plaintext) return
+    }
+    fs.writeFileSync(encryptedPath, encrypt(plaintext, passphrase))
+  })
+}
+
+function parseEnvFile(contents) {
+  const values = {}
+  contents
+    .split('\n')
+    .filter(line => line.includes('='))
+    .forEach(line => {
+      values[line.slice(0, line.indexOf('='))] = line.slice(line.indexOf('=') + 1)
+    })
+  return values
+}
+
+// Where an env's Secrets come from - "plain" generates them with kustomize from the local .env files, which
+// GitOps tools never see. The others write a resource for each Secret to the overlay, which is safe to commit
+const secretsBackends = ['plain', 'sops', 'sealed-secrets', 'external-secrets']
+
+function secretsBackend(config, env) {
+  const backend = ((config.overlays[env] || {}).secrets || {}).backend || 'plain'
+  if (!secretsBackends.includes(backend)) {
+    return fatal(
+      `Invalid secrets backend "${backend}" for "${env}"! Valid backends are: ${secretsBackends.join(
+        ', '
+      )}`
+    )
+  }
+  return backend
+}
+
+// Asks for the settings a backend needs which aren't in .dna.json yet, and checks its tools are installed
+async function prepareSecretsBackend(env, settings, options) {
+  const required = {
+    'sealed-secrets': {
+      key: 'cert',
+      message: 'What is the path (or URL) of your sealed-secrets public certificate?'
+    },
+    'external-secrets': {
+      key: 'store',
+      message: 'What is the name of the SecretStore your secrets are kept in?'
+    }
+  }[settings.backend]
+  if (required && !settings[required.key]) {
+    if (!options.prompts) {
+      return fatal(
+        `The ${settings.backend} backend needs "${required.key}" set in .dna.json (overlays.${env}.secrets.${required.key})!`
+      )
+    }
+    process.stdout.write('\n')
+    const answers = await prompt([
+      {
+        name: required.key,
+        type: 'input',
+        message: required.message,
+        validate: input => (input ? true : 'This is required!')
+      }
+    ])
+    settings[required.key] = answers[required.key]
+  }
+  const binary = { sops: 'sops', 'sealed-secrets': 'kubeseal' }[settings.backend]
+  if (binary && !execSyncWithEnv(`which ${binary}`)) {
+    return fatal(`${binary} is required for the ${settings.backend} secrets backend!`)
+  }
+}
+
+// A Secret holding the values of one of our .env files, written next to it so it's ignored by git too
+function writePlainSecret(secret, overlayPath) {
+  const values = parseEnvFile(fs.readFileSync(path.join(overlayPath, secret.path)).toString())
+  const data = {}
+  for (const key in values) data[key] = Buffer.from(values[key]).toString('base64')
+  const manifest = yaml.safeDump({
+    apiVersion: 'v1',
+    kind: 'Secret',
+    metadata: { name: secret.name },
+    type: 'Opaque',
+    data
+  })
+  const plainPath = path.join(overlayPath, secret.path.replace(/\.env$/, '.yaml'))
+  const changed = !fs.existsSync(plainPath) || fs.readFileSync(plainPath).toString() !== manifest
+  if (changed) fs.writeFileSync(plainPath, manifest)
+  return { plainPath, values, changed }
+}
+
+// Runs a tool which encrypts a Secret, from the project's directory so it finds its config (ie: .sops.yaml)
+function encryptWith(command, secret, options) {
+  try {
+    return execSyncWithEnv(`cd "${options.target}" && ${command}`, { catchErr: false })
+  } catch (err) {
+    return fatal(`Unable to encrypt the "${secret.name}" secret: ${err.stderr || err.message}`)
+  }
+}
+
+// Writes the committable resource for each of an env's secrets, returning their files for the overlay
+// Encryption isn't deterministic, so secrets are only re-encrypted when their values change
+async function writeSecretResources(env, secrets, settings, options) {
+  await prepareSecretsBackend(env, settings, options)
+  const overlayPath = path.join(options.target, 'k8s', 'overlays', env)
+  const resources = []
+  secrets.forEach(secret => {
+    const { plainPath, values, changed } = writePlainSecret(secret, overlayPath)
+    const relativePath = path.relative(options.target, plainPath)
+    let file
+    let manifest
+    if (settings.backend === 'sops') {
+      file = `${secret.name}-secret.sops.yaml`
+      if (!changed && fs.existsSync(path.join(overlayPath, file))) return resources.push(file)
+      const keys = ['age', 'pgp', 'kms'].filter(key => settings[key])
+      manifest = encryptWith(
+        `sops --encrypt --encrypted-regex '^(data|stringData)$' ${keys
+          .map(key => `--${key} "${settings[key]}"`)
+          .join(' ')} "${relativePath}"`,
+        secret,
+        options
+      )
+    } else if (settings.backend === 'sealed-secrets') {
+      file = `${secret.name}-sealed-secret.yaml`
+      if (!changed && fs.existsSync(path.join(overlayPath, file))) return resources.push(file)
+      manifest = encryptWith(
+        `kubeseal --cert "${settings.cert}" --format yaml < "${relativePath}"`,
+        secret,
+        options
+      )
+    } else {
+      // ExternalSecrets only reference values kept in the store, under "<keyPrefix><secret name>"
+      file = `${secret.name}-external-secret.yaml`
+      const remoteKey = `${settings.keyPrefix === undefined ? `${env}/` : settings.keyPrefix}${
+        secret.name
+      }`
+      manifest = yaml.safeDump({
+        apiVersion: 'external-secrets.io/v1beta1',
+        kind: 'ExternalSecret',
+        metadata: { name: secret.name },
+        spec: {
+          refreshInterval: settings.refreshInterval || '1h',
+          secretStoreRef: { name: settings.store, kind: settings.storeKind || 'SecretStore' },
+          target: { name: secret.name },
+          data: Object.keys(values).map(key => {
+            return { secretKey: key, remoteRef: { key: remoteKey, property: key } }
+          })
+        }
+      })
+    }
+    fs.writeFileSync(path.join(overlayPath, file), manifest)
+    resources.push(file)
+  })
+  return resources
+}
+
+// The keys "init" keeps for each secret of an env: the envs of in-cluster modules, and the connection details of
+// external ones - anything else would never reach an app, or would be dropped by the next "init"
+function settableSecrets(env, config, modules) {
+  const modConfigs = (config.overlays[env] || {}).modules || {}
+  const settable = {}
+  modules.forEach(mod => {
+    const modConfig = modConfigs[mod.name]
+    if (!modConfig || modConfig.mode === 'disabled') return
+    if (modConfig.mode === 'external') {
+      const keys = []
+      Object.values(mod.appEnvs || {}).forEach(appEnvs => keys.push(...Object.keys(appEnvs)))
+      settable[`${mod.name}-connection`] = keys.filter((v, i, s) => s.indexOf(v) === i)
+    } else if (mod.envs) settable[mod.name] = Object.keys(mod.envs)
+  })
+  return settable
+}
+
+// "deploy-node-app <env> secrets set|get|rotate ..." - "modules" are all known modules
+async function secretsAction(env, config, [command, name, ...args], options, modules) {
+  if (!isEncryptionEnabled(config, env)) {
+    return fatal(
+      `Secrets for "${env}" aren't encrypted - run "deploy-node-app ${env} init --encrypt-secrets" first!`
+    )
+  }
+  await decryptSecrets(env, options)
+  if (command === 'get') {
+    if (!name) {
+      const names = listSecretFiles(env, options, '.env').map(file => file.replace(/\.env$/, ''))
+      return log(names.join('\n'))
+    }
+    const plainPath = path.join(secretsDir(env, options), `${name}.env`)
+    if (!fs.existsSync(plainPath)) return fatal(`No secrets named "${name}" in "${env}"!`)
+    const values = parseEnvFile(fs.readFileSync(plainPath).toString())
+    if (args.length === 0)
+      return log(
+        Object.keys(values)
+          .map(key => `${key}=${values[key]}`)
+          .join('\n')
+      )
+    args.forEach(key => {
+      if (values[key] === undefined) return fatal(`No secret named "${key}" in "${name}"!`)
+      log(values[key])
+    })
+  } else if (command === 'set') {
+    if (!name || args.length === 0)
+      return fatal('Usage: secrets set <name> KEY=VALUE [KEY=VALUE ...]')
+    const settable = settableSecrets(env, config, modules)
+    if (!settable[name]) {
+      return fatal(
+        `No secrets named "${name}" can be set in "${env}"! Try one of: ${Object.keys(
+          settable
+        ).join(', ')}`
+      )
+    }
+    const plainPath = path.join(secretsDir(env, options), `${name}.env`)
+    const values = fs.existsSync(plainPath)
+      ? parseEnvFile(fs.readFileSync(plainPath).toString())
+      : {}
+    args.forEach(arg => {
+      if (!arg.includes('=')) return fatal(`Expected KEY=VALUE, got "${arg}"!`)
+      if (!settable[name].includes(arg.slice(0, arg.indexOf('=')))) {
+        return fatal(
+          `"${name}" has no secret named "${arg.slice(
+            0,
+            arg.indexOf('=')
+          )}"! Try one of: ${settable[name].join(', ')}`
+        )
+      }
+      values[arg.slice(0, arg.indexOf('='))] = arg.slice(arg.indexOf('=') + 1)
+    })
+    fs.mkdirSync(secretsDir(env, options), { recursive: true })
+    fs.writeFileSync(
+      plainPath,
+      Object.keys(values)
+        .map(key => `${key}=${values[key]}`)
+        .join('\n') + '\n'
+    )
+    await encryptSecrets(env, options)
+    log(`Updated secrets "${name}" - deploy "${env}" to apply them`)
+  } else if (command === 'rotate') {
+    // Re-encrypts every secret with a new passphrase
+    const passphrase = await getPassphrase(
+      options,
+      'DNA_SECRETS_NEW_PASSPHRASE',
+      'What should the new passphrase be?'
+    )
+    listSecretFiles(env, options, `.env${ENCRYPTED_EXTENSION}`).forEach(file =>
+      fs.unlinkSync(path.join(secretsDir(env, options), file))
+    )
+    await encryptSecrets(env, options, passphrase)
+    log(`Secrets for "${env}" are now encrypted with the new passphrase`)
+  } else {
+    return fatal('Usage: secrets <set|get|rotate> [name] [KEY=VALUE ...]')
+  }
+}
+
+module.exports = {
+  decryptSecrets,
+  encryptSecrets,
+  isEncryptionEnabled,
+  parseEnvFile,
+  secretsAction,
+  secretsBackend,
+  writeSecretResources
+}
@@ -0,0 +1,15 @@
+const { ensureKubectl, execSyncWithEnv } = require('./util')
+
+const quote = arg => `'${arg.replace(/'/g, "'\\''")}'`
+
+// Opens a shell in a running pod - modules with a "shell" command (ie: psql) open their own client instead
+function shell(name, mod) {
+  ensureKubectl('open a shell')
+  const command = (mod && mod.shell) || ['sh']
+  // The exit status of the shell's last command isn't an error of ours, so it's ignored
+  execSyncWithEnv(`kubectl exec -it deployment/${name} -- ${command.map(quote).join(' ')}`, {
+    stdio: 'inherit'
+  })
+}
+
+module.exports = { shell, quote }
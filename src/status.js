@@ -0,0 +1,151 @@
+const chalk = require('chalk')
+const { ensureKubectl, fatal, log, execSyncWithEnv } = require('./util')
+
+// Container states that mean a pod won't become ready on its own
+const problemReasons = [
+  'CrashLoopBackOff',
+  'ImagePullBackOff',
+  'ErrImagePull',
+  'CreateContainerConfigError',
+  'InvalidImageName'
+]
+
+// Runs kubectl, exiting with its error (ie: an unreachable cluster or expired credentials) instead of a stack trace
+function kubectl(args) {
+  try {
+    return execSyncWithEnv(`kubectl ${args}`, { catchErr: false })
+  } catch (err) {
+    const reason = ((err.stderr && err.stderr.toString()) || err.message).trim()
+    return fatal(`Unable to reach the cluster: ${reason}`)
+  }
+}
+
+// Runs "kubectl get" and returns the items found, if any
+function kubectlGet(args) {
+  const output = kubectl(`get ${args} -o json`)
+  if (!output) return []
+  const result = JSON.parse(output)
+  return result.items || [result]
+}
+
+function podProblems(pod) {
+  const problems = []
+  const statuses = (pod.status && pod.status.containerStatuses) || []
+  statuses.forEach(status => {
+    const waiting = status.state && status.state.waiting
+    if (!waiting || !problemReasons.includes(waiting.reason)) return
+    const terminated = status.lastState && status.lastState.terminated
+    const lastExit = terminated
+      ? ` (last exit: ${terminated.reason || 'Unknown'}, code ${terminated.exitCode})`
+      : ''
+    problems.push(`${pod.metadata.name}: ${waiting.reason}${lastExit}`)
+  })
+  return problems
+}
+
+// Gathers the rollout health of an env's apps and modules from the current kube context
+function getStatus(env, { apps, modules, ingresses }) {
+  const names = apps.concat(modules)
+  const deployments = kubectlGet(`deployments ${names.join(' ')} --ignore-not-found`)
+  const pods = kubectlGet(`pods -l "app in (${names.join(',')})"`)
+  const endpoints = kubectlGet(`endpoints ${names.join(' ')} --ignore-not-found`)
+  const foundIngresses = ingresses.length
+    ? kubectlGet(`ingresses ${ingresses.join(' ')} --ignore-not-found`)
+    : []
+  const tlsSecrets = []
+  foundIngresses.forEach(ingress => {
+    ;(ingress.spec.tls || []).forEach(tls => tls.secretName && tlsSecrets.push(tls.secretName))
+  })
+  const foundSecrets = tlsSecrets.length
+    ? (kubectl(`get secrets ${tlsSecrets.join(' ')} --ignore-not-found -o name`) || '')
+        .split('\n')
+        .map(s => s.replace(/^secret\//, '').trim())
+    : []
+
+  return {
+    env,
+    deployments: names.map(name => {
+      const deployment = deployments.find(d => d.metadata.name === name)
+      const ownPods = pods.filter(p => p.metadata.labels && p.metadata.labels.app === name)
+      const restarts = ownPods.reduce(
+        (total, pod) =>
+          total +
+          ((pod.status && pod.status.containerStatuses) || []).reduce(
+            (podTotal, status) => podTotal + (status.restartCount || 0),
+            0
+          ),
+        0
+      )
+      return {
+        name,
+        type: apps.includes(name) ? 'app' : 'module',
+        found: !!deployment,
+        ready: deployment ? deployment.status.readyReplicas || 0 : 0,
+        desired: deployment ? deployment.spec.replicas : 0,
+        restarts,
+        problems: [].concat(...ownPods.map(podProblems))
+      }
+    }),
+    services: endpoints.map(endpoint => {
+      const subsets = endpoint.subsets || []
+      return {
+        name: endpoint.metadata.name,
+        ready: subsets.reduce((total, s) => total + (s.addresses || []).length, 0),
+        notReady: subsets.reduce((total, s) => total + (s.notReadyAddresses || []).length, 0)
+      }
+    }),
+    ingresses: foundIngresses.map(ingress => {
+      const tls = (ingress.spec.tls || [])[0]
+      const host = ((ingress.spec.rules || [])[0] || {}).host
+      const loadBalancer = ((ingress.status.loadBalancer || {}).ingress || [])[0] || {}
+      return {
+        name: ingress.metadata.name,
+        url: host ? `${tls ? 'https' : 'http'}://${host}` : null,
+        address: loadBalancer.ip || loadBalancer.hostname || null,
+        tls: !!tls,
+        tlsReady: !!tls && foundSecrets.includes(tls.secretName)
+      }
+    })
+  }
+}
+
+function printStatus(status) {
+  const width = Math.max(...status.deployments.map(d => d.name.length)) + 2
+  log(`Status of ${chalk.bold(status.env)}:\n`)
+  log(chalk.bold('Deployments'))
+  status.deployments.forEach(d => {
+    if (!d.found) return log(`  ${d.name.padEnd(width)}${chalk.red('not deployed')}`)
+    const color = d.ready >= d.desired ? chalk.green : chalk.red
+    const restarts = d.restarts > 0 ? `, ${chalk.yellow(`${d.restarts} restarts`)}` : ''
+    log(`  ${d.name.padEnd(width)}${color(`${d.ready}/${d.desired} ready`)}${restarts}`)
+    d.problems.forEach(problem => log(`    ${chalk.red(problem)}`))
+  })
+  if (status.services.length > 0) {
+    log(chalk.bold('\nServices'))
+    status.services.forEach(s => {
+      const notReady = s.notReady > 0 ? `, ${chalk.yellow(`${s.notReady} not ready`)}` : ''
+      const color = s.ready > 0 ? chalk.green : chalk.red
+      log(`  ${s.name.padEnd(width)}${color(`${s.ready} ready endpoints`)}${notReady}`)
+    })
+  }
+  if (status.ingresses.length > 0) {
+    log(chalk.bold('\nIngress'))
+    status.ingresses.forEach(i => {
+      const tls = !i.tls
+        ? ''
+        : i.tlsReady
+        ? chalk.green(' (TLS ready)')
+        : chalk.yellow(' (TLS certificate pending)')
+      log(`  ${i.url || i.name}${tls}${i.address ? ` -> ${i.address}` : ''}`)
+    })
+  }
+}
+
+async function status(env, resources, options) {
+  ensureKubectl('show status')
+  const result = getStatus(env, resources)
+  if (options.json) log(JSON.stringify(result, null, 2))
+  else printStatus(result)
+}
+
+module.exports = { status }
@@ -17,6 +17,7 @@ const pipeline = util.promisify(stream.pipeline)
 const readFile = util.promisify(fs.readFile)
 const writeFile = util.promisify(fs.writeFile)
 const ERR_ARROWS = `${style.red.open}>>${style.red.close}`
+const WARNING = `${style.yellow.open}!!${style.yellow.close}`
 
 // Tracks files written to during this process
 const filesWritten = []
@@ -32,6 +33,11 @@ function log() {
   console.log(...arguments) // eslint-disable-line no-console
 }
 
+// Warn is like log, but prefixed with a warning marker
+function warn(message /*: string */) {
+  log(`${WARNING} ${message}`)
+}
+
 // Fatal is like log, but exits the process
 function fatal(message /*: string */) {
   process.stderr.write(`${ERR_ARROWS} ${message}\n`)
@@ -191,6 +197,13 @@ const execSyncWithEnv = (cmd, options = {}) => {
   if (output) return output.toString().trim()
 }
 
+// Exits with a helpful message if kubectl isn't installed - "purpose" finishes the sentence "kubectl is required to..."
+function ensureKubectl(purpose) {
+  if (!execSyncWithEnv('which kubectl')) {
+    fatal(`kubectl is required to ${purpose}! See https://kubernetes.io/docs/tasks/tools/`)
+  }
+}
+
 // Ensures other applications are installed (eg: skaffold)
 async function ensureBinaries(options) {
   if (fs.existsSync('/bin/sh')) {
@@ -253,6 +266,16 @@ function promptUserForValue(
   }
 }
 
+// Compares dotted version numbers, ie: compareVersions('8.0.3', '7.18.2') === 1
+function compareVersions(a, b) {
+  const left = `${a}`.split('.').map(n => parseInt(n, 10) || 0)
+  const right = `${b}`.split('.').map(n => parseInt(n, 10) || 0)
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if ((left[i] || 0) !== (right[i] || 0)) return (left[i] || 0) > (right[i] || 0) ? 1 : -1
+  }
+  return 0
+}
+
 function generateRandomStr(length = 16) {
   return (existing, _options) => {
     if (existing) return existing
@@ -292,11 +315,14 @@ module.exports = {
   debug,
   fatal,
   log,
+  warn,
   mkdir,
   prompt,
   cleanupWrittenFiles,
   generateRandomStr,
+  compareVersions,
   ensureBinaries,
+  ensureKubectl,
   confirmWriteFile,
   writeTextLine,
   execSyncWithEnv,
@@ -0,0 +1,5 @@
+module github.com/kubesail/deploy-node-app/test/golang-redis
+
+go 1.15
+
+require github.com/go-redis/redis/v8 v8.3.2
@@ -0,0 +1,24 @@
+package main
+
+import (
+	"context"
+	"fmt"
+	"net/http"
+
+	"github.com/go-redis/redis/v8"
+)
+
+func main() {
+	rdb := redis.NewClient(&redis.Options{Addr: "redis:6379"})
+
+	http.HandleFunc("/", func(w http.ResponseWriter, r *http.Request) {
+		hits, err := rdb.Incr(context.Background(), "hits").Result()
+		if err != nil {
+			http.Error(w, err.Error(), http.StatusInternalServerError)
+			return
+		}
+		fmt.Fprintf(w, "Hello world from a Go webserver! This page has been viewed %d times.", hits)
+	})
+
+	http.ListenAndServe(":8080", nil)
+}
@@ -0,0 +1,8 @@
+module.exports = {
+  name: 'nats',
+  image: 'nats:2',
+  languages: {
+    nodejs: ['nats']
+  },
+  ports: [4222]
+}
@@ -0,0 +1,12 @@
+const express = require('express')
+const NATS = require('nats')
+
+const app = express()
+const nc = NATS.connect({ url: 'nats://nats:4222' })
+
+app.get('/', (req, res) => {
+  nc.publish('hits', req.path)
+  res.send('Hello world from a Node.js app with a NATS plugin module!')
+})
+
+app.listen(8004)
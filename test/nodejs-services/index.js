@@ -0,0 +1,34 @@
+const express = require('express')
+const mysql = require('mysql2/promise')
+const amqp = require('amqplib')
+const { Kafka } = require('kafkajs')
+const memjs = require('memjs')
+const { Client } = require('@elastic/elasticsearch')
+
+const app = express()
+const cache = memjs.Client.create()
+const kafka = new Kafka({ brokers: process.env.KAFKA_BROKERS.split(',') })
+const elastic = new Client({ node: process.env.ELASTICSEARCH_URL })
+
+app.get('/', async (_req, res) => {
+  try {
+    const db = await mysql.createConnection(process.env.DATABASE_URL)
+    const [rows] = await db.query('SELECT 1 + 1 AS two')
+    await db.end()
+    const queue = await amqp.connect(process.env.RABBITMQ_URL)
+    await queue.close()
+    await cache.set('nodejs-services', `${rows[0].two}`, {})
+    const producer = kafka.producer()
+    await producer.connect()
+    await producer.disconnect()
+    const { body } = await elastic.cluster.health()
+    res.send(
+      `Hello World from MySQL, RabbitMQ, Memcached, Kafka and Elasticsearch (${body.status})!`
+    )
+  } catch (err) {
+    console.error('Failed to connect!', err.message)
+    res.sendStatus(500)
+  }
+})
+
+app.listen(8000, () => process.stdout.write('A Node.js example app with many dependencies!\n'))
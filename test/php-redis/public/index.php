@@ -0,0 +1,7 @@
+<?php
+
+$redis = new Redis();
+$redis->connect('redis', 6379);
+$hits = $redis->incr('hits');
+
+echo "Hello world from a PHP webserver! This page has been viewed $hits times.";
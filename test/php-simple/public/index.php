@@ -0,0 +1,3 @@
+<?php
+
+echo 'Hello world from a PHP webserver!!';
@@ -0,0 +1,18 @@
+import os
+
+import psycopg2
+from fastapi import FastAPI
+
+app = FastAPI()
+
+
+@app.get("/")
+def index():
+    conn = psycopg2.connect(
+        host="postgres",
+        user=os.environ.get("POSTGRES_USER"),
+        password=os.environ.get("POSTGRES_PASSWORD"),
+        dbname=os.environ.get("POSTGRES_DB"),
+    )
+    conn.close()
+    return {"message": "Hello world from a FastAPI webserver!"}